@@ -6,7 +6,9 @@
 // =============================================================================
 
 const readline = require("readline");
+const http = require("http");
 const https = require("https");
+const tls = require("tls");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
@@ -27,6 +29,7 @@ const C = {
 const INSTALL_DIR = path.join(os.homedir(), ".telegram-mcp-bridge");
 const IS_WIN = process.platform === "win32";
 const IS_MAC = process.platform === "darwin";
+const TG_API_BASE = (process.env.TELEGRAM_API_BASE_URL || "https://api.telegram.org").replace(/\/+$/, "");
 
 const ok = (s) => console.log(`  ${C.green}✔${C.reset} ${s}`);
 const warn = (s) => console.log(`  ${C.yellow}⚠${C.reset} ${s}`);
@@ -43,9 +46,76 @@ const ask = (q) => new Promise((res) => rl.question(`  ${C.cyan}▸${C.reset} ${
 // ---------------------------------------------------------------------------
 // HTTP helpers
 // ---------------------------------------------------------------------------
+function transportFor(url) {
+  return new URL(url).protocol === "http:" ? http : https;
+}
+
+// Proxy for a target URL from HTTPS_PROXY / HTTP_PROXY, or null when unset or
+// the host matches NO_PROXY — same rules as server.js
+function proxyFor(targetUrl, env = process.env) {
+  const u = new URL(targetUrl);
+  const raw = u.protocol === "https:"
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  if (!raw) return null;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  const port = u.port || (u.protocol === "https:" ? "443" : "80");
+  for (const entry of (env.NO_PROXY || env.no_proxy || "").split(/[,\s]+/).filter(Boolean)) {
+    if (entry === "*") return null;
+    const m = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+    const suffix = m[1].replace(/^\*?\./, "");
+    if (m[2] && m[2] !== port) continue;
+    if (host === suffix || host.endsWith(`.${suffix}`)) return null;
+  }
+  return new URL(raw.includes("://") ? raw : `http://${raw}`);
+}
+
+// Agent tunnelling through the proxy with HTTP CONNECT (undefined = direct)
+function agentFor(url) {
+  const proxy = proxyFor(url);
+  if (!proxy) return undefined;
+  const secure = new URL(url).protocol === "https:";
+  const agent = new (secure ? https.Agent : http.Agent)({ keepAlive: false });
+  agent.createConnection = (opts, cb) => {
+    const headers = { Host: `${opts.host}:${opts.port}` };
+    if (proxy.username) {
+      const cred = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(cred).toString("base64")}`;
+    }
+    const req = (proxy.protocol === "https:" ? https : http).request({
+      host: proxy.hostname, port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT", path: `${opts.host}:${opts.port}`, headers,
+    });
+    req.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) { socket.destroy(); cb(new Error(`proxy CONNECT failed: HTTP ${res.statusCode}`)); return; }
+      cb(null, secure ? tls.connect({ ...opts, socket, servername: opts.servername || opts.host }) : socket);
+    });
+    req.once("error", cb);
+    req.end();
+  };
+  return agent;
+}
+
+// Proxy settings to carry into the MCP config — IDEs launched from a desktop
+// shortcut often don't inherit the shell's proxy variables
+function proxyEnv(env = process.env) {
+  const out = {};
+  for (const key of ["HTTPS_PROXY", "HTTP_PROXY", "NO_PROXY"]) {
+    const val = env[key] || env[key.toLowerCase()];
+    if (val) out[key] = val;
+  }
+  return out;
+}
+
+// The Bot API endpoint the installer used (self-hosted server or mock), so the
+// installed server talks to the same one
+function apiBaseEnv(env = process.env) {
+  return env.TELEGRAM_API_BASE_URL ? { TELEGRAM_API_BASE_URL: env.TELEGRAM_API_BASE_URL } : {};
+}
+
 function httpGet(url) {
   return new Promise((resolve, reject) => {
-    https.get(url, { timeout: 15000 }, (res) => {
+    transportFor(url).get(url, { timeout: 15000, agent: agentFor(url) }, (res) => {
       let data = "";
       res.on("data", (c) => (data += c));
       res.on("end", () => resolve(data));
@@ -58,10 +128,11 @@ function httpPost(url, body) {
     const payload = JSON.stringify(body);
     const u = new URL(url);
     const opts = {
-      hostname: u.hostname, path: u.pathname, method: "POST", timeout: 15000,
+      protocol: u.protocol, hostname: u.hostname, port: u.port || undefined,
+      path: u.pathname + u.search, method: "POST", timeout: 15000, agent: agentFor(url),
       headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) },
     };
-    const req = https.request(opts, (res) => {
+    const req = transportFor(url).request(opts, (res) => {
       let data = "";
       res.on("data", (c) => (data += c));
       res.on("end", () => resolve(data));
@@ -73,8 +144,12 @@ function httpPost(url, body) {
   });
 }
 
+function tgApiUrl(token, method, base = TG_API_BASE) {
+  return `${base.replace(/\/+$/, "")}/bot${token}/${method}`;
+}
+
 function tgApi(token, method, body) {
-  const url = `https://api.telegram.org/bot${token}/${method}`;
+  const url = tgApiUrl(token, method);
   return body ? httpPost(url, body).then(JSON.parse) : httpGet(url).then(JSON.parse);
 }
 
@@ -166,7 +241,7 @@ const AGENTS = [
 // ---------------------------------------------------------------------------
 // Server entry JSON for config injection
 // ---------------------------------------------------------------------------
-function makeServerEntry(serverPath, botToken, chatId) {
+function makeServerEntry(serverPath, botToken, chatId, extraEnv = {}) {
   // Normalize to forward slashes for JSON config (Node handles both on Windows)
   const normalizedPath = serverPath.replace(/\\/g, "/");
   return {
@@ -175,6 +250,7 @@ function makeServerEntry(serverPath, botToken, chatId) {
     env: {
       TELEGRAM_BOT_TOKEN: botToken,
       TELEGRAM_CHAT_ID: chatId,
+      ...extraEnv,
     },
   };
 }
@@ -437,7 +513,7 @@ async function runDeploy() {
     version: "1.0.0",
     private: true,
     dependencies: {
-      "@modelcontextprotocol/sdk": "^1.12.1",
+      "@modelcontextprotocol/sdk": "^1.29.0",
     },
   };
   fs.writeFileSync(path.join(INSTALL_DIR, "package.json"), JSON.stringify(pkg, null, 2));
@@ -570,7 +646,7 @@ async function main() {
     version: "1.0.0",
     private: true,
     dependencies: {
-      "@modelcontextprotocol/sdk": "^1.12.1",
+      "@modelcontextprotocol/sdk": "^1.29.0",
     },
   };
   fs.writeFileSync(path.join(INSTALL_DIR, "package.json"), JSON.stringify(pkg, null, 2));
@@ -759,7 +835,7 @@ async function main() {
       warn("Auto-detect timed out.");
       console.log("");
       info("Find it manually: open this URL in a browser:");
-      info(`https://api.telegram.org/bot${botToken}/getUpdates`);
+      info(tgApiUrl(botToken, "getUpdates"));
       info('Look for: "chat":{"id":-100XXXXXXXXXX,"type":"supergroup"}');
       console.log("");
       chatId = (await ask("Enter your group Chat ID: ")).trim();
@@ -888,7 +964,7 @@ async function main() {
   step(6, TOTAL, `Configuring ${agent.name}`);
 
   const serverPath = path.join(INSTALL_DIR, "server.js");
-  const entry = makeServerEntry(serverPath, botToken, chatId);
+  const entry = makeServerEntry(serverPath, botToken, chatId, { ...proxyEnv(), ...apiBaseEnv() });
   const configPath = agent.configPath();
 
   if (configPath === "__vscode__") {
@@ -11,12 +11,26 @@ const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } = require("@modelcontextprotocol/sdk/types.js");
+const http = require("http");
 const https = require("https");
+const tls = require("tls");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const crypto = require("crypto");
+const { EventEmitter, once } = require("events");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const zlib = require("zlib");
+const childProcess = require("child_process");
 
 // ---------------------------------------------------------------------------
 // Config from env
@@ -27,6 +41,40 @@ const DATA_DIR = process.env.TELEGRAM_MCP_DATA_DIR ||
   path.join(os.homedir(), ".telegram-mcp-bridge", "data");
 const MAX_HISTORY = parseInt(process.env.TELEGRAM_MCP_MAX_HISTORY || "200", 10);
 const POLL_INTERVAL_MS = parseInt(process.env.TELEGRAM_POLL_INTERVAL || "2000", 10);
+// Backlog replayed after a restart is capped at this age (seconds, 0 = no cap)
+const REPLAY_MAX_AGE_S = parseInt(process.env.TELEGRAM_REPLAY_MAX_AGE || "86400", 10);
+const SEND_PER_CHAT_PER_MIN = parseInt(process.env.TELEGRAM_SEND_PER_MINUTE || "20", 10);
+const SEND_MAX_RETRIES = parseInt(process.env.TELEGRAM_SEND_RETRIES || "5", 10);
+// Messages needing more parts than this are sent as a .md document instead
+const MAX_SPLIT_PARTS = parseInt(process.env.TELEGRAM_MAX_SPLIT_PARTS || "4", 10);
+// Webhook mode (optional) — set TELEGRAM_WEBHOOK_URL to receive updates via
+// a local HTTP(S) listener instead of getUpdates polling
+const WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL || "";
+const WEBHOOK_HOST = process.env.TELEGRAM_WEBHOOK_HOST || "127.0.0.1";
+const WEBHOOK_PORT = parseInt(process.env.TELEGRAM_WEBHOOK_PORT || "8443", 10);
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || crypto.randomBytes(24).toString("hex");
+const WEBHOOK_TLS_CERT = process.env.TELEGRAM_WEBHOOK_TLS_CERT || "";
+const WEBHOOK_TLS_KEY = process.env.TELEGRAM_WEBHOOK_TLS_KEY || "";
+// Bot API base URL — point at a self-hosted Bot API server or a local mock
+const TG_API_BASE = (process.env.TELEGRAM_API_BASE_URL || "https://api.telegram.org").replace(/\/+$/, "");
+// Bot API upload limit (50 MB on api.telegram.org, up to 2000 MB on a self-hosted server)
+const MAX_UPLOAD_BYTES = parseInt(process.env.TELEGRAM_MAX_UPLOAD_MB || "50", 10) * 1024 * 1024;
+// Bot API download limit (20 MB on api.telegram.org; a self-hosted server has
+// none, so it defaults to 0 = no limit when TELEGRAM_API_BASE_URL is set)
+const MAX_DOWNLOAD_BYTES = parseInt(process.env.TELEGRAM_MAX_DOWNLOAD_MB ||
+  (process.env.TELEGRAM_API_BASE_URL ? "0" : "20"), 10) * 1024 * 1024;
+// Voice transcription (optional) — a local command run on each incoming voice
+// note or audio file, e.g. a whisper.cpp wrapper; its stdout becomes the text
+const TRANSCRIBE_CMD = process.env.TELEGRAM_TRANSCRIBE_CMD || "";
+const TRANSCRIBE_TIMEOUT_S = parseInt(process.env.TELEGRAM_TRANSCRIBE_TIMEOUT || "120", 10);
+// Minimum gap between edits of a session's progress message
+const PROGRESS_MIN_EDIT_MS = parseInt(process.env.TELEGRAM_PROGRESS_EDIT_MS || "3000", 10);
+// User reactions on agent messages reach the agent as signals: "emoji=signal,…"
+const REACTION_SIGNALS_SPEC = process.env.TELEGRAM_REACTION_SIGNALS || "👍=approve,👎=reject,❤=ack";
+// What request_approval returns when nobody answers in time: "deny" or "approve"
+const APPROVAL_ON_TIMEOUT = process.env.TELEGRAM_APPROVAL_ON_TIMEOUT === "approve" ? "approve" : "deny";
+// Longest wait for callers that receive progress notifications (others: 300s)
+const MAX_WAIT_S = parseInt(process.env.TELEGRAM_MAX_WAIT || "3600", 10);
 
 // Session identity — fallback when agent doesn't pass session_id
 const DEFAULT_SESSION_ID = process.env.TELEGRAM_SESSION_ID ||
@@ -62,21 +110,100 @@ const log = {
 };
 
 // ---------------------------------------------------------------------------
-// Telegram HTTP helpers (zero dependencies — uses built-in https)
+// Telegram HTTP helpers (zero dependencies — uses built-in http/https)
 // ---------------------------------------------------------------------------
+// Proxy for a target URL from HTTPS_PROXY / HTTP_PROXY, or null when unset or
+// the host matches NO_PROXY (exact host, domain suffix, optional :port, or *)
+function proxyFor(targetUrl, env = process.env) {
+  const u = new URL(targetUrl);
+  const raw = u.protocol === "https:"
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  if (!raw) return null;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  const port = u.port || (u.protocol === "https:" ? "443" : "80");
+  for (const entry of (env.NO_PROXY || env.no_proxy || "").split(/[,\s]+/).filter(Boolean)) {
+    if (entry === "*") return null;
+    const m = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+    const suffix = m[1].replace(/^\*?\./, "");
+    if (m[2] && m[2] !== port) continue;
+    if (host === suffix || host.endsWith(`.${suffix}`)) return null;
+  }
+  return new URL(raw.includes("://") ? raw : `http://${raw}`);
+}
+
+// Agent that reaches the target through an HTTP CONNECT tunnel
+// (with basic auth when the proxy URL carries credentials)
+function createTunnelAgent(proxy, secure) {
+  const Base = secure ? https.Agent : http.Agent;
+  const agent = new Base({ keepAlive: false });
+  agent.createConnection = (opts, cb) => {
+    const headers = { Host: `${opts.host}:${opts.port}` };
+    if (proxy.username) {
+      const cred = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(cred).toString("base64")}`;
+    }
+    const req = (proxy.protocol === "https:" ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT",
+      path: `${opts.host}:${opts.port}`,
+      headers,
+    });
+    req.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        cb(new Error(`Proxy CONNECT to ${opts.host}:${opts.port} failed: HTTP ${res.statusCode}`));
+        return;
+      }
+      cb(null, secure ? tls.connect({ ...opts, socket, servername: opts.servername || opts.host }) : socket);
+    });
+    req.once("error", (e) => cb(new Error(`Proxy error: ${e.message}`)));
+    req.end();
+  };
+  return agent;
+}
+
+const proxyAgents = new Map(); // "<proxy url>|<secure>" → Agent
+
+function proxyAgentFor(targetUrl) {
+  const proxy = proxyFor(targetUrl);
+  if (!proxy) return undefined;
+  const secure = new URL(targetUrl).protocol === "https:";
+  const key = `${proxy.href}|${secure}`;
+  if (!proxyAgents.has(key)) proxyAgents.set(key, createTunnelAgent(proxy, secure));
+  return proxyAgents.get(key);
+}
+
+// Resolve a Bot API path (e.g. "/bot<token>/getMe") against the configured base
+// URL. The base may carry a scheme, host, port and path prefix.
+function tgEndpoint(suffix, base = TG_API_BASE) {
+  const u = new URL(base.replace(/\/+$/, "") + suffix);
+  return {
+    transport: u.protocol === "http:" ? http : https,
+    opts: {
+      protocol: u.protocol,
+      hostname: u.hostname,
+      port: u.port || undefined,
+      path: u.pathname + u.search,
+      agent: proxyAgentFor(u.href),
+    },
+  };
+}
+
 function tgApi(method, body) {
   return new Promise((resolve, reject) => {
     const payload = body ? JSON.stringify(body) : null;
+    const { transport, opts: target } = tgEndpoint(`/bot${BOT_TOKEN}/${method}`);
     const opts = {
-      hostname: "api.telegram.org",
-      path: `/bot${BOT_TOKEN}/${method}`,
+      ...target,
       method: payload ? "POST" : "GET",
       headers: payload
         ? { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) }
         : {},
       timeout: 30000,
     };
-    const req = https.request(opts, (res) => {
+    const req = transport.request(opts, (res) => {
       let data = "";
       res.on("data", (c) => (data += c));
       res.on("end", () => {
@@ -100,7 +227,13 @@ function tgApi(method, body) {
 // ---------------------------------------------------------------------------
 function downloadTgFile(filePath) {
   return new Promise((resolve, reject) => {
-    https.get(`https://api.telegram.org/file/bot${BOT_TOKEN}/${filePath}`, { timeout: 30000 }, (res) => {
+    const { transport, opts } = tgEndpoint(`/file/bot${BOT_TOKEN}/${filePath}`);
+    transport.get({ ...opts, timeout: 30000 }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
       const chunks = [];
       res.on("data", (c) => chunks.push(c));
       res.on("end", () => resolve(Buffer.concat(chunks)));
@@ -108,33 +241,225 @@ function downloadTgFile(filePath) {
   });
 }
 
-function tgApiMultipart(method, fields, fileField, filePath, fileName) {
+// Stream a Telegram file to `dest`, so a large attachment never sits in
+// memory; fails (and removes the partial file) past maxBytes, 0 = no cap.
+// Resolves with the number of bytes written.
+function downloadTgFileTo(filePath, dest, maxBytes = 0) {
+  return new Promise((resolve, reject) => {
+    const { transport, opts } = tgEndpoint(`/file/bot${BOT_TOKEN}/${filePath}`);
+    const req = transport.get({ ...opts, timeout: 30000 }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+      let size = 0;
+      const cap = new Transform({
+        transform(chunk, encoding, done) {
+          size += chunk.length;
+          if (maxBytes && size > maxBytes) done(new Error(`too large to download (limit is ${maxBytes / (1024 * 1024)} MB)`));
+          else done(null, chunk);
+        },
+      });
+      pipeline(res, cap, fs.createWriteStream(dest)).then(() => resolve(size), (e) => {
+        fs.rm(dest, { force: true }, () => reject(e));
+      });
+    });
+    req.on("error", reject).on("timeout", () => { req.destroy(); reject(new Error("timeout")); });
+  });
+}
+
+// `file` is a local path or a Buffer with the file contents. To upload several files at once (sendMediaGroup),
+// pass an array of { field, file, name } as fileField instead.
+function tgApiMultipart(method, fields, fileField, file, fileName) {
   return new Promise((resolve, reject) => {
     const boundary = `----FormBoundary${crypto.randomBytes(8).toString("hex")}`;
-    const fileData = fs.readFileSync(filePath);
+    const attachments = Array.isArray(fileField) ? fileField : [{ field: fileField, file, name: fileName }];
     let preamble = "";
     for (const [key, val] of Object.entries(fields)) {
       preamble += `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${val}\r\n`;
     }
-    const header = `--${boundary}\r\nContent-Disposition: form-data; name="${fileField}"; filename="${fileName}"\r\nContent-Type: application/octet-stream\r\n\r\n`;
-    const footer = `\r\n--${boundary}--\r\n`;
-    const payload = Buffer.concat([Buffer.from(preamble + header), fileData, Buffer.from(footer)]);
+    // Buffers are sent as-is; file paths are streamed from disk, not buffered
+    const parts = [Buffer.from(preamble)];
+    for (const a of attachments) {
+      const name = String(a.name).replace(/["\r\n]/g, "_");
+      parts.push(
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${a.field}"; filename="${name}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+        a.file,
+        Buffer.from("\r\n"));
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    let length;
+    try {
+      length = parts.reduce((n, p) => n + (Buffer.isBuffer(p) ? p.length : fs.statSync(p).size), 0);
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    const { transport, opts: target } = tgEndpoint(`/bot${BOT_TOKEN}/${method}`);
     const opts = {
-      hostname: "api.telegram.org",
-      path: `/bot${BOT_TOKEN}/${method}`,
+      ...target,
       method: "POST",
-      headers: { "Content-Type": `multipart/form-data; boundary=${boundary}`, "Content-Length": payload.length },
+      headers: { "Content-Type": `multipart/form-data; boundary=${boundary}`, "Content-Length": length },
       timeout: 60000,
     };
-    const req = https.request(opts, (res) => {
+    const req = transport.request(opts, (res) => {
       let data = "";
       res.on("data", (c) => (data += c));
       res.on("end", () => { try { resolve(JSON.parse(data)); } catch { reject(new Error(`Invalid JSON: ${data.slice(0, 200)}`)); } });
     });
     req.on("error", reject);
     req.on("timeout", () => { req.destroy(); reject(new Error("timeout")); });
-    req.write(payload);
-    req.end();
+    (async () => {
+      for (const p of parts) {
+        if (Buffer.isBuffer(p)) {
+          if (!req.write(p)) await once(req, "drain");
+          continue;
+        }
+        for await (const chunk of fs.createReadStream(p)) {
+          if (!req.write(chunk)) await once(req, "drain");
+        }
+      }
+      req.end();
+    })().catch((e) => {
+      req.destroy();
+      reject(e);
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Outbound send scheduler — every call that posts into the chat goes through
+// here. Enforces per-chat and global rate limits, honors 429 retry_after,
+// retries transient failures, and lets real messages jump ahead of
+// typing/reaction noise. Jobs in the same chat run strictly in order.
+// A network error may hit after Telegram already acted on the request, so
+// it is only retried for idempotent jobs, or when no connection was made.
+// ---------------------------------------------------------------------------
+const UNSENT_NETWORK_ERRORS = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+class SendScheduler {
+  constructor({ perChatPerMinute = 20, globalPerSecond = 30, maxRetries = 5, retryBaseMs = 1000 } = {}) {
+    this._perChat = perChatPerMinute;
+    this._global = globalPerSecond;
+    this._maxRetries = maxRetries;
+    this._retryBaseMs = retryBaseMs;
+    this._jobs = [];
+    this._chats = new Map(); // chat → { sent: [ms], blockedUntil, busy }
+    this._globalSent = [];
+    this._timer = null;
+  }
+
+  // run: () => Promise<Telegram response>. Resolves with the final response,
+  // rejects on a network error that can't be (or is no longer) retried.
+  schedule(run, { chat = "default", priority = "high", dropAfterMs = 0, idempotent = false } = {}) {
+    return new Promise((resolve, reject) => {
+      this._jobs.push({
+        run, chat: String(chat), priority, dropAfterMs, idempotent,
+        queuedAt: Date.now(), attempts: 0, resolve, reject,
+      });
+      this._pump();
+    });
+  }
+
+  pendingCount() {
+    return this._jobs.length;
+  }
+
+  _chat(key) {
+    if (!this._chats.has(key)) this._chats.set(key, { sent: [], blockedUntil: 0, busy: false });
+    return this._chats.get(key);
+  }
+
+  // Milliseconds until job may be sent (0 = now)
+  _delayFor(job, now) {
+    const c = this._chat(job.chat);
+    let wait = Math.max(0, c.blockedUntil - now);
+    this._globalSent = this._globalSent.filter((t) => now - t < 1000);
+    if (this._globalSent.length >= this._global) wait = Math.max(wait, this._globalSent[0] + 1000 - now);
+    if (job.priority === "high") {
+      c.sent = c.sent.filter((t) => now - t < 60000);
+      if (c.sent.length >= this._perChat) wait = Math.max(wait, c.sent[0] + 60000 - now);
+    }
+    return wait;
+  }
+
+  _pump() {
+    if (this._timer) { clearTimeout(this._timer); this._timer = null; }
+    const now = Date.now();
+
+    // Stale noise (e.g. a typing indicator) is worthless once late — drop it
+    this._jobs = this._jobs.filter((j) => {
+      if (!j.dropAfterMs || now - j.queuedAt <= j.dropAfterMs) return true;
+      j.resolve({ ok: false, dropped: true });
+      return false;
+    });
+
+    // Head of each chat: first high-priority job, else first low-priority one
+    const heads = new Map();
+    for (const j of this._jobs) {
+      const cur = heads.get(j.chat);
+      if (!cur || (cur.priority !== "high" && j.priority === "high")) heads.set(j.chat, j);
+    }
+
+    let nextWake = Infinity;
+    const ordered = [...heads.values()].sort((a, b) => (a.priority === b.priority ? 0 : a.priority === "high" ? -1 : 1));
+    for (const job of ordered) {
+      if (this._chat(job.chat).busy) continue;
+      const wait = this._delayFor(job, now);
+      if (wait > 0) { nextWake = Math.min(nextWake, wait); continue; }
+      this._start(job);
+    }
+    if (nextWake !== Infinity) this._timer = setTimeout(() => this._pump(), nextWake);
+  }
+
+  async _start(job) {
+    const c = this._chat(job.chat);
+    this._jobs.splice(this._jobs.indexOf(job), 1);
+    c.busy = true;
+    const now = Date.now();
+    this._globalSent.push(now);
+    if (job.priority === "high") c.sent.push(now);
+    job.attempts++;
+
+    let res = null;
+    let err = null;
+    try { res = await job.run(); } catch (e) { err = e; }
+    c.busy = false;
+
+    const rateLimited = res && !res.ok && res.error_code === 429;
+    const transient = err
+      ? job.idempotent || UNSENT_NETWORK_ERRORS.has(err.code)
+      : res && !res.ok && res.error_code >= 500;
+    if ((rateLimited || transient) && job.attempts <= this._maxRetries) {
+      const delay = rateLimited
+        ? (res.parameters?.retry_after ?? 1) * 1000
+        : Math.min(this._retryBaseMs * 2 ** (job.attempts - 1), 30000);
+      c.blockedUntil = Math.max(c.blockedUntil, Date.now() + delay);
+      log.warn(`Telegram ${rateLimited ? "rate limit" : "send error"} — retry ${job.attempts}/${this._maxRetries} in ${delay}ms`);
+      this._jobs.unshift(job);
+    } else if (err) {
+      job.reject(err);
+    } else {
+      job.resolve(res);
+    }
+    this._pump();
+  }
+}
+
+const outbound = new SendScheduler({ perChatPerMinute: SEND_PER_CHAT_PER_MIN, maxRetries: SEND_MAX_RETRIES });
+
+// Methods that are safe to repeat after a network error; sends are not, since
+// the first attempt may have posted before the connection dropped
+const IDEMPOTENT_METHODS = new Set([
+  "sendChatAction", "setMessageReaction", "editMessageText", "deleteMessage",
+  "pinChatMessage", "unpinChatMessage", "stopPoll",
+]);
+
+// Scheduled tgApi call — use for anything that posts into the chat
+function tgSend(method, body, opts = {}) {
+  return outbound.schedule(() => tgApi(method, body), {
+    chat: body.chat_id, idempotent: IDEMPOTENT_METHODS.has(method), ...opts,
   });
 }
 
@@ -144,11 +469,11 @@ function tgApiMultipart(method, fields, fileField, filePath, fileName) {
 async function setReaction(messageId, emoji) {
   if (!BOT_TOKEN || !CHAT_ID) return;
   try {
-    await tgApi("setMessageReaction", {
+    await tgSend("setMessageReaction", {
       chat_id: parseInt(CHAT_ID, 10),
       message_id: messageId,
       reaction: [{ type: "emoji", emoji }],
-    });
+    }, { priority: "low" });
   } catch (e) {
     log.warn(`setReaction(${emoji}) failed:`, e.message);
   }
@@ -159,7 +484,7 @@ async function sendTypingAction(sessionTopicId) {
   try {
     const body = { chat_id: parseInt(CHAT_ID, 10), action: "typing" };
     if (sessionTopicId) body.message_thread_id = sessionTopicId;
-    await tgApi("sendChatAction", body);
+    await tgSend("sendChatAction", body, { priority: "low", dropAfterMs: 5000 });
   } catch (e) {
     log.warn("sendChatAction(typing) failed:", e.message);
   }
@@ -201,7 +526,7 @@ async function ensureTopicForSession(sessionId) {
   const label = `${MACHINE_LABEL}/${sessionId.slice(0, 12)}`;
   try {
     let chatIdNum = parseInt(CHAT_ID, 10);
-    let res = await tgApi("createForumTopic", {
+    let res = await tgSend("createForumTopic", {
       chat_id: chatIdNum,
       name: `🤖 ${label}`,
     });
@@ -212,7 +537,7 @@ async function ensureTopicForSession(sessionId) {
       log.info(`Chat migrated: ${CHAT_ID} → ${newId}`);
       CHAT_ID = newId;
       chatIdNum = parseInt(CHAT_ID, 10);
-      res = await tgApi("createForumTopic", {
+      res = await tgSend("createForumTopic", {
         chat_id: chatIdNum,
         name: `🤖 ${label}`,
       });
@@ -248,10 +573,13 @@ function buildTopicToSessionMap() {
 // ---------------------------------------------------------------------------
 const sessions = new Map(); // sessionId → { queue, topicId }
 
+function getQueueFile(sessionId) {
+  return path.join(DATA_DIR, `queue-${sessionId}.json`);
+}
+
 function getSession(sessionId) {
   if (sessions.has(sessionId)) return sessions.get(sessionId);
-  const queueFile = path.join(DATA_DIR, `queue-${sessionId}.json`);
-  const q = new MessageQueue(queueFile);
+  const q = new MessageQueue(getQueueFile(sessionId));
   const topicMap = loadTopicMap();
   const s = { queue: q, topicId: topicMap[sessionId] || null, paused: false };
   sessions.set(sessionId, s);
@@ -260,6 +588,12 @@ function getSession(sessionId) {
 
 async function ensureSessionReady(sessionId) {
   const s = getSession(sessionId);
+  if (!s.owned) {
+    // Announce new messages the moment they are queued, here or elsewhere
+    s.queue.on("message", pushIncomingMessages);
+    s.queue.watch();
+  }
+  s.owned = true; // served by this process (vs. only routed to by the poller)
   if (!s.topicId) {
     s.topicId = await ensureTopicForSession(sessionId);
   }
@@ -268,176 +602,983 @@ async function ensureSessionReady(sessionId) {
 }
 
 // ---------------------------------------------------------------------------
-// Send message to a session's topic (or General as fallback)
+// Markdown → Telegram message entities
+// Agents write CommonMark; Telegram wants text + entities. Rendering to
+// entities sidesteps MarkdownV2 escaping entirely, so an underscore in a
+// filename can no longer break a whole message. Rendered text is never longer
+// than the source, so splitting (below) can run on the raw Markdown first.
 // ---------------------------------------------------------------------------
-async function sendToSession(text, sessionTopicId) {
-  if (!BOT_TOKEN || !CHAT_ID) return false;
-  const body = {
-    chat_id: parseInt(CHAT_ID, 10),
-    text,
-    parse_mode: "Markdown",
+const LINK_SCHEME_RE = /^(https?|tg|mailto):/i;
+
+function isWordChar(ch) {
+  return !!ch && /[\p{L}\p{N}_]/u.test(ch);
+}
+
+// Find the closing delimiter for an emphasis run opened at `from`
+function findCloser(src, delim, from) {
+  for (let j = src.indexOf(delim, from); j !== -1; j = src.indexOf(delim, j + 1)) {
+    if (j === from || /\s/.test(src[j - 1])) continue;
+    if (delim.length === 1 && (src[j + 1] === delim || src[j - 1] === delim)) continue;
+    if (delim[0] === "_" && isWordChar(src[j + delim.length])) continue;
+    return j;
+  }
+  return -1;
+}
+
+function renderInline(src, out) {
+  const emit = (type, inner, extra = {}) => {
+    const offset = out.text.length;
+    renderInline(inner, out);
+    const length = out.text.length - offset;
+    if (length > 0) out.entities.push({ type, offset, length, ...extra });
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === "\\" && /[!-/:-@[-`{-~]/.test(src[i + 1] || "")) {
+      out.text += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === "`") {
+      const run = src.slice(i).match(/^`+/)[0];
+      const end = src.indexOf(run, i + run.length);
+      if (end !== -1) {
+        let code = src.slice(i + run.length, end);
+        if (/^ .* $/.test(code)) code = code.slice(1, -1);
+        const offset = out.text.length;
+        out.text += code;
+        if (code.length) out.entities.push({ type: "code", offset, length: code.length });
+        i = end + run.length;
+        continue;
+      }
+      out.text += run;
+      i += run.length;
+      continue;
+    }
+
+    if (ch === "[") {
+      const m = src.slice(i).match(/^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]+)>?\s*\)/);
+      if (m) {
+        if (LINK_SCHEME_RE.test(m[2])) emit("text_link", m[1], { url: m[2] });
+        else { renderInline(m[1], out); out.text += ` (${m[2]})`; }
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    const delim = ["**", "__", "~~"].find((d) => src.startsWith(d, i)) || (ch === "*" || ch === "_" ? ch : null);
+    if (delim && src[i + delim.length] && !/\s/.test(src[i + delim.length]) &&
+        !(delim[0] === "_" && isWordChar(src[i - 1]))) {
+      const end = findCloser(src, delim, i + delim.length);
+      if (end !== -1) {
+        const type = delim === "~~" ? "strikethrough" : delim.length === 2 ? "bold" : "italic";
+        emit(type, src.slice(i + delim.length, end));
+        i = end + delim.length;
+        continue;
+      }
+    }
+
+    out.text += ch;
+    i++;
+  }
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "")
+    .split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|").replace(/\*\*|__|`/g, ""));
+}
+
+// Render CommonMark-ish text to { text, entities } for sendMessage
+function renderMarkdown(md) {
+  const out = { text: "", entities: [] };
+  const lines = md.replace(/\r\n/g, "\n").split("\n");
+  let first = true;
+  const newline = () => { if (!first) out.text += "\n"; first = false; };
+  const block = (type, content, extra = {}) => {
+    newline();
+    const offset = out.text.length;
+    out.text += content;
+    if (content.length) out.entities.push({ type, offset, length: content.length, ...extra });
   };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block → pre (with language)
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      const body = [];
+      let j = i + 1;
+      while (j < lines.length && !(lines[j].trim().startsWith(fence[1]) && lines[j].trim().replace(/[`~]/g, "") === "")) {
+        body.push(lines[j]);
+        j++;
+      }
+      block("pre", body.join("\n"), fence[2] ? { language: fence[2] } : {});
+      i = j;
+      continue;
+    }
+
+    // Table → aligned monospace block
+    if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(lines[i + 1] || "")) {
+      const rows = [splitTableRow(line)];
+      let j = i + 2;
+      while (j < lines.length && /^\s*\|.*\|\s*$/.test(lines[j])) rows.push(splitTableRow(lines[j++]));
+      const widths = rows[0].map((_, c) => Math.max(...rows.map((r) => (r[c] || "").length)));
+      const fmt = (r) => widths.map((w, c) => (r[c] || "").padEnd(w)).join(" | ").trimEnd();
+      const table = [fmt(rows[0]), widths.map((w) => "-".repeat(w)).join("-+-"), ...rows.slice(1).map(fmt)];
+      block("pre", table.join("\n"));
+      i = j - 1;
+      continue;
+    }
+
+    // Heading → bold line
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      newline();
+      const offset = out.text.length;
+      renderInline(heading[1], out);
+      if (out.text.length > offset) out.entities.push({ type: "bold", offset, length: out.text.length - offset });
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      newline();
+      out.text += "──────────";
+      continue;
+    }
+
+    // Blockquote (consecutive "> " lines become one entity)
+    if (/^\s*>/.test(line)) {
+      newline();
+      const offset = out.text.length;
+      let j = i;
+      while (j < lines.length && /^\s*>/.test(lines[j])) {
+        if (j > i) out.text += "\n";
+        renderInline(lines[j].replace(/^\s*>\s?/, ""), out);
+        j++;
+      }
+      if (out.text.length > offset) out.entities.push({ type: "blockquote", offset, length: out.text.length - offset });
+      i = j - 1;
+      continue;
+    }
+
+    // Bullet list item
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    newline();
+    if (bullet) {
+      out.text += `${bullet[1]}• `;
+      renderInline(bullet[2], out);
+    } else {
+      renderInline(line, out);
+    }
+  }
+
+  // Telegram wants entities sorted by offset (outer before inner)
+  out.entities.sort((a, b) => a.offset - b.offset || b.length - a.length);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Long message splitting — Telegram rejects texts over 4096 chars
+// ---------------------------------------------------------------------------
+const TG_MAX_MESSAGE_LEN = 4096;
+const TG_MAX_CAPTION_LEN = 1024;
+const FENCE_RE = /^\s*```(\S*)/;
+
+// Split text into numbered parts that each fit in one message. Cuts prefer
+// paragraph breaks, then line breaks; code fences left open at a cut are
+// closed and reopened (same language) in the next part.
+function splitMessage(text, limit = TG_MAX_MESSAGE_LEN) {
+  if (text.length <= limit) return [text];
+  const budget = limit - 64; // headroom for "(n/m)" and re-balanced fences
+
+  const lines = [];
+  for (const line of text.split("\n")) {
+    for (let i = 0; i < line.length || i === 0; i += budget) lines.push(line.slice(i, i + budget));
+  }
+
+  const chunks = [];
+  let cur = [];
+  let len = 0;
+  for (const line of lines) {
+    if (cur.length && len + line.length + 1 > budget) {
+      // Cut at the last blank line in the back half of the chunk, if any
+      let cut = cur.length;
+      for (let i = cur.length - 1; i > cur.length / 2; i--) {
+        if (cur[i].trim() === "") { cut = i; break; }
+      }
+      chunks.push(cur.slice(0, cut));
+      cur = cur.slice(cut < cur.length ? cut + 1 : cut);
+      len = cur.reduce((n, l) => n + l.length + 1, 0);
+    }
+    cur.push(line);
+    len += line.length + 1;
+  }
+  if (cur.length) chunks.push(cur);
+
+  const parts = [];
+  let openLang = null; // language of a fence still open from the previous part
+  for (const chunk of chunks) {
+    const out = openLang !== null ? ["```" + openLang.slice(0, 32), ...chunk] : [...chunk];
+    for (const line of chunk) {
+      const m = line.match(FENCE_RE);
+      if (m) openLang = openLang === null ? m[1] : null;
+    }
+    if (openLang !== null) out.push("```");
+    parts.push(out.join("\n"));
+  }
+  return parts.map((p, i) => `(${i + 1}/${parts.length})\n${p}`);
+}
+
+// ---------------------------------------------------------------------------
+// Send message to a session's topic (or General as fallback)
+// The send helpers resolve to the message_ids they created, or null on failure.
+// ---------------------------------------------------------------------------
+function sentMessageIds(res) {
+  return [].concat(res.result || []).map((m) => m.message_id);
+}
+
+// Threads a message under replyTo; still sent if that message is gone
+function replyParameters(replyTo) {
+  return { message_id: replyTo, allow_sending_without_reply: true };
+}
+
+async function sendToSession(text, sessionTopicId, { asDocument = false, replyTo = null } = {}) {
+  if (!BOT_TOKEN || !CHAT_ID) return null;
+  const parts = splitMessage(text);
+  if (asDocument || parts.length > MAX_SPLIT_PARTS) {
+    return sendTextAsDocument(text, sessionTopicId, replyTo);
+  }
+  const ids = [];
+  for (const [i, part] of parts.entries()) {
+    const id = await sendTextPart(part, sessionTopicId, i === 0 ? replyTo : null);
+    if (!id) return null;
+    ids.push(id);
+  }
+  return ids;
+}
+
+async function sendTextPart(text, sessionTopicId, replyTo = null) {
+  const rendered = renderMarkdown(text);
+  const body = { chat_id: parseInt(CHAT_ID, 10), text: rendered.text };
+  if (!rendered.text.trim()) body.text = text;
+  else if (rendered.entities.length) body.entities = rendered.entities;
   if (sessionTopicId) body.message_thread_id = sessionTopicId;
+  if (replyTo) body.reply_parameters = replyParameters(replyTo);
   try {
-    const res = await tgApi("sendMessage", body);
-    if (res.ok) return true;
-    // Markdown parse error — retry plain
-    delete body.parse_mode;
-    const res2 = await tgApi("sendMessage", body);
-    return !!res2.ok;
+    const res = await tgSend("sendMessage", body);
+    if (res.ok) return res.result.message_id;
+    if (res.error_code !== 400 || !body.entities) {
+      log.error("sendMessage failed:", res.description || res.error_code);
+      return null;
+    }
+    // Entities rejected (e.g. a bad link URL) — send the raw Markdown as-is
+    log.warn("sendMessage entities rejected, sending raw text:", res.description);
+    const res2 = await tgSend("sendMessage", { ...body, text, entities: undefined });
+    return res2.ok ? res2.result.message_id : null;
   } catch (e) {
     log.error("sendMessage failed:", e.message);
-    return false;
+    return null;
+  }
+}
+
+// Very long content goes out as a .md attachment, first line as caption
+async function sendTextAsDocument(text, sessionTopicId, replyTo = null) {
+  const chatIdNum = parseInt(CHAT_ID, 10);
+  const firstLine = text.split("\n").find((l) => l.trim()) || "Message";
+  const fields = {
+    chat_id: String(chatIdNum),
+    caption: firstLine.length > 200 ? `${firstLine.slice(0, 199)}…` : firstLine,
+  };
+  if (sessionTopicId) fields.message_thread_id = String(sessionTopicId);
+  if (replyTo) fields.reply_parameters = JSON.stringify(replyParameters(replyTo));
+  const fileName = `message-${new Date().toISOString().replace(/[:.]/g, "-")}.md`;
+  try {
+    const res = await outbound.schedule(
+      () => tgApiMultipart("sendDocument", fields, "document", Buffer.from(text, "utf-8"), fileName),
+      { chat: chatIdNum });
+    if (!res.ok) log.error("sendDocument failed:", res.description || res.error_code);
+    return res.ok ? sentMessageIds(res) : null;
+  } catch (e) {
+    log.error("sendDocument failed:", e.message);
+    return null;
   }
 }
 
 // Send photo to a session's topic (or General as fallback)
 // ---------------------------------------------------------------------------
-async function sendPhotoToSession(imageSource, caption, sessionTopicId) {
-  if (!BOT_TOKEN || !CHAT_ID) return false;
+async function sendPhotoToSession(imageSource, caption, sessionTopicId, { replyTo = null } = {}) {
+  if (!BOT_TOKEN || !CHAT_ID) return null;
+  // Captions are capped at 1024 chars — send long ones as a follow-up message
+  if (caption && caption.length > TG_MAX_CAPTION_LEN) {
+    const photoIds = await sendPhotoToSession(imageSource, "", sessionTopicId, { replyTo });
+    const captionIds = photoIds && (await sendToSession(caption, sessionTopicId));
+    return captionIds ? [...photoIds, ...captionIds] : null;
+  }
   const chatIdNum = parseInt(CHAT_ID, 10);
+  const rendered = renderMarkdown(caption || "");
   try {
     if (imageSource.startsWith("http://") || imageSource.startsWith("https://")) {
       const body = { chat_id: chatIdNum, photo: imageSource };
-      if (caption) { body.caption = caption; body.parse_mode = "Markdown"; }
+      if (caption) { body.caption = rendered.text; body.caption_entities = rendered.entities; }
       if (sessionTopicId) body.message_thread_id = sessionTopicId;
-      const res = await tgApi("sendPhoto", body);
-      if (res.ok) return true;
-      if (caption) { delete body.parse_mode; return !!(await tgApi("sendPhoto", body)).ok; }
-      return false;
+      if (replyTo) body.reply_parameters = replyParameters(replyTo);
+      const res = await tgSend("sendPhoto", body);
+      if (res.ok) return sentMessageIds(res);
+      if (caption && res.error_code === 400) {
+        const res2 = await tgSend("sendPhoto", { ...body, caption, caption_entities: undefined });
+        return res2.ok ? sentMessageIds(res2) : null;
+      }
+      return null;
     }
     if (fs.existsSync(imageSource)) {
       const fields = { chat_id: String(chatIdNum) };
-      if (caption) fields.caption = caption;
+      if (caption) {
+        fields.caption = rendered.text;
+        if (rendered.entities.length) fields.caption_entities = JSON.stringify(rendered.entities);
+      }
       if (sessionTopicId) fields.message_thread_id = String(sessionTopicId);
-      const res = await tgApiMultipart("sendPhoto", fields, "photo", imageSource, path.basename(imageSource));
-      return !!res.ok;
+      if (replyTo) fields.reply_parameters = JSON.stringify(replyParameters(replyTo));
+      const res = await outbound.schedule(
+        () => tgApiMultipart("sendPhoto", fields, "photo", imageSource, path.basename(imageSource)),
+        { chat: chatIdNum });
+      return res.ok ? sentMessageIds(res) : null;
     }
     log.error("Image source not found:", imageSource);
-    return false;
+    return null;
   } catch (e) {
     log.error("sendPhoto failed:", e.message);
-    return false;
+    return null;
   }
 }
 
 // ---------------------------------------------------------------------------
-// Send to General topic (no message_thread_id)
-async function sendToGeneral(text) {
-  if (!BOT_TOKEN || !CHAT_ID) return false;
+// Send files (logs, patches, reports) to a session's topic as documents
+// ---------------------------------------------------------------------------
+const TG_MAX_MEDIA_GROUP = 10;
+// Text files above this size are gzipped automatically (gzip: true forces it)
+const GZIP_AUTO_BYTES = 10 * 1024 * 1024;
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+}
+
+// No NUL bytes in the first 8 KB — good enough to tell logs from binaries
+function looksLikeText(buf) {
+  return !buf.subarray(0, 8192).includes(0);
+}
+
+async function readFileHead(filePath, bytes = 8192) {
+  const fh = await fs.promises.open(filePath, "r");
   try {
-    const res = await tgApi("sendMessage", {
-      chat_id: parseInt(CHAT_ID, 10),
-      text,
-      parse_mode: "Markdown",
-    });
-    if (res.ok) return true;
-    const res2 = await tgApi("sendMessage", {
-      chat_id: parseInt(CHAT_ID, 10),
-      text,
-    });
-    return !!res2.ok;
-  } catch (e) {
-    log.error("sendToGeneral failed:", e.message);
-    return false;
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(bytes), 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
   }
 }
 
-// ---------------------------------------------------------------------------
-// Message queue — persisted to disk, minimal memory footprint
-// Each session has its own queue. Messages routed by topic.
-// ---------------------------------------------------------------------------
-class MessageQueue {
-  constructor(filePath) {
-    this._file = filePath;
-    this._pending = [];
-    this._delivered = [];
-    this._load();
+// Size-check a file for upload. Returns { name, file, size, gzipped, tmp }:
+// `file` is the path to send — a gzipped temp copy (tmp: true, delete after
+// sending) when gzip was asked for or a big text file is auto-compressed.
+// Throws with a message meant for the agent.
+async function prepareUpload(filePath, { gzip, maxBytes = MAX_UPLOAD_BYTES } = {}) {
+  let st;
+  try {
+    st = await fs.promises.stat(filePath);
+  } catch {
+    throw new Error(`file not found: ${filePath}`);
   }
-
-  _load() {
-    try {
-      if (fs.existsSync(this._file)) {
-        const data = JSON.parse(fs.readFileSync(this._file, "utf-8"));
-        this._pending = data.pending || [];
-        this._delivered = (data.delivered || []).slice(-MAX_HISTORY);
-      }
-    } catch (e) {
-      log.warn("Queue load failed:", e.message);
-    }
+  if (!st.isFile()) throw new Error(`not a regular file: ${filePath}`);
+  if (st.size === 0) throw new Error(`file is empty: ${filePath}`);
+  const name = path.basename(filePath);
+  // .gz files are sent as they are, so gzip can't shrink them
+  const compressible = !name.endsWith(".gz");
+  // Only an explicit gzip may bring an oversized file under the limit
+  if (st.size > maxBytes && !(gzip === true && compressible)) {
+    const hint = gzip === undefined && compressible ? " (pass gzip: true to compress it)" : "";
+    throw new Error(`file too large: ${name} is ${formatBytes(st.size)}, Bot API limit is ${formatBytes(maxBytes)}${hint}`);
   }
+  const compress = compressible && (gzip === true ||
+    (gzip !== false && st.size > GZIP_AUTO_BYTES && looksLikeText(await readFileHead(filePath))));
+  if (!compress) return { name, file: filePath, size: st.size, gzipped: false, tmp: false };
 
-  _save() {
-    try {
-      fs.mkdirSync(path.dirname(this._file), { recursive: true });
-      fs.writeFileSync(this._file, JSON.stringify({
-        pending: this._pending,
-        delivered: this._delivered.slice(-MAX_HISTORY),
-      }, null, 2));
-    } catch (e) {
-      log.warn("Queue save failed:", e.message);
+  // Streamed through zlib into a temp file, so neither memory nor the event loop suffers
+  const tmp = path.join(os.tmpdir(), `tg-upload-${crypto.randomBytes(6).toString("hex")}.gz`);
+  try {
+    await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmp));
+    const size = (await fs.promises.stat(tmp)).size;
+    if (size > maxBytes) {
+      throw new Error(`file too large: ${name}.gz is ${formatBytes(size)}, Bot API limit is ${formatBytes(maxBytes)}`);
     }
+    return { name: `${name}.gz`, file: tmp, size, gzipped: true, tmp: true };
+  } catch (e) {
+    await fs.promises.rm(tmp, { force: true });
+    throw e;
   }
+}
 
-  enqueue(text, sender = "user", image = null, tgMessageId = null) {
-    const msg = {
-      id: crypto.randomBytes(4).toString("hex"),
-      text,
-      sender,
-      ts: Math.floor(Date.now() / 1000),
-    };
-    if (image) msg.image = image;
-    if (tgMessageId) msg.tg_msg_id = tgMessageId;
-    this._pending.push(msg);
-    this._save();
-    return msg;
-  }
+async function discardUploads(uploads) {
+  await Promise.all(uploads.filter((u) => u.tmp).map((u) => fs.promises.rm(u.file, { force: true })));
+}
 
-  poll() {
-    if (!this._pending.length) return [];
-    const msgs = this._pending.splice(0);
-    this._delivered.push(...msgs.map(m => { const { image, ...rest } = m; return rest; }));
-    this._save();
-    return msgs;
+// Upload one file with sendDocument or up to 10 with sendMediaGroup.
+// Returns { ok, messageIds, error? }; the caption goes on the last document of a group.
+async function sendFilesToSession(filePaths, caption, sessionTopicId, { gzip, replyTo = null } = {}) {
+  if (!BOT_TOKEN || !CHAT_ID) return { ok: false, error: "bot not configured" };
+  if (filePaths.length > TG_MAX_MEDIA_GROUP) {
+    return { ok: false, error: `too many files: ${filePaths.length} (max ${TG_MAX_MEDIA_GROUP} per call)` };
   }
-
-  // Poll only messages with ts > sinceTs (for timestamp-aware polling)
-  pollSince(sinceTs) {
-    if (!this._pending.length) return [];
-    const fresh = [];
-    const stale = [];
-    for (const m of this._pending) {
-      if (m.ts > sinceTs) fresh.push(m);
-      else stale.push(m);
-    }
-    const strip = (m) => { const { image, ...rest } = m; return rest; };
-    if (stale.length) this._delivered.push(...stale.map(strip));
-    if (fresh.length) this._delivered.push(...fresh.map(strip));
-    this._pending = [];
-    this._save();
-    return fresh;
+  // Captions are capped at 1024 chars — send long ones as a follow-up message
+  if (caption && caption.length > TG_MAX_CAPTION_LEN) {
+    const res = await sendFilesToSession(filePaths, "", sessionTopicId, { gzip, replyTo });
+    if (!res.ok) return res;
+    const captionIds = await sendToSession(caption, sessionTopicId);
+    return captionIds
+      ? { ok: true, messageIds: [...res.messageIds, ...captionIds] }
+      : { ok: false, error: "caption send failed" };
   }
-
-  pendingCount() {
-    return this._pending.length;
+  const uploads = [];
+  try {
+    for (const f of filePaths) uploads.push(await prepareUpload(f, { gzip }));
+  } catch (e) {
+    await discardUploads(uploads);
+    return { ok: false, error: e.message };
   }
 
-  pendingCountSince(sinceTs) {
-    if (!sinceTs) return this._pending.length;
-    return this._pending.filter(m => m.ts > sinceTs).length;
-  }
+  const chatIdNum = parseInt(CHAT_ID, 10);
+  const rendered = renderMarkdown(caption || "");
+  const send = (raw) => {
+    const captionFields = !caption ? {} : raw
+      ? { caption }
+      : { caption: rendered.text, caption_entities: rendered.entities };
+    const fields = { chat_id: String(chatIdNum) };
+    if (sessionTopicId) fields.message_thread_id = String(sessionTopicId);
+    if (replyTo) fields.reply_parameters = JSON.stringify(replyParameters(replyTo));
+    if (uploads.length === 1) {
+      Object.assign(fields, captionFields);
+      if (fields.caption_entities) fields.caption_entities = JSON.stringify(fields.caption_entities);
+      const [u] = uploads;
+      return outbound.schedule(
+        () => tgApiMultipart("sendDocument", fields, "document", u.file, u.name),
+        { chat: chatIdNum });
+    }
+    fields.media = JSON.stringify(uploads.map((u, i) => ({
+      type: "document",
+      media: `attach://file${i}`,
+      ...(i === uploads.length - 1 ? captionFields : {}),
+    })));
+    const attachments = uploads.map((u, i) => ({ field: `file${i}`, file: u.file, name: u.name }));
+    return outbound.schedule(
+      () => tgApiMultipart("sendMediaGroup", fields, attachments),
+      { chat: chatIdNum });
+  };
 
-  clear() {
-    this._pending = [];
-    this._delivered = [];
-    this._save();
+  const method = uploads.length === 1 ? "sendDocument" : "sendMediaGroup";
+  try {
+    let res = await send(false);
+    if (!res.ok && caption && res.error_code === 400) {
+      log.warn(`${method} caption rejected, sending raw caption:`, res.description);
+      res = await send(true);
+    }
+    if (!res.ok) {
+      log.error(`${method} failed:`, res.description || res.error_code);
+      return { ok: false, error: res.error_code === 413 ? "file too large for the Bot API" : `${method} failed: ${res.description || res.error_code}` };
+    }
+    return { ok: true, messageIds: sentMessageIds(res) };
+  } catch (e) {
+    log.error(`${method} failed:`, e.message);
+    return { ok: false, error: `${method} failed: ${e.message}` };
+  } finally {
+    await discardUploads(uploads);
   }
 }
 
 // ---------------------------------------------------------------------------
-// Session registry — tracks all active sessions across machines
+// Live progress message — one per session, edited in place instead of
+// posting a new message for every step. Sent silently; edits don't notify.
 // ---------------------------------------------------------------------------
-class SessionRegistry {
+const PROGRESS_BAR_WIDTH = 10;
+
+function formatElapsed(ms) {
+  const s = Math.max(Math.floor(ms / 1000), 0);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+function renderProgress(p, nowMs = Date.now()) {
+  const icon = p.state === "done" ? "✅" : p.state === "failed" ? "❌" : "⏳";
+  const lines = [`${icon} **${p.title || "Progress"}**`];
+  if (p.total > 0) {
+    const step = Math.min(Math.max(p.step || 0, 0), p.total);
+    const filled = Math.round((step / p.total) * PROGRESS_BAR_WIDTH);
+    lines.push(`${"▓".repeat(filled)}${"░".repeat(PROGRESS_BAR_WIDTH - filled)} ${step}/${p.total}`);
+  } else if (p.step) {
+    lines.push(`Step ${p.step}`);
+  }
+  if (p.status) lines.push(p.status);
+  const elapsed = formatElapsed(nowMs - p.startedAt);
+  if (p.state === "running") lines.push(`⏱ ${elapsed}`);
+  else lines.push(`⏱ ${p.state === "done" ? "Finished" : "Failed"} after ${elapsed}`);
+  return lines.join("\n");
+}
+
+// send(text) → message_id or null; edit(id, text) → "ok" | "gone" | "failed".
+// Updates arriving faster than minEditMs are coalesced into one trailing edit;
+// the final (done/failed) update is always written straight away.
+class ProgressMessage {
+  constructor(send, edit, minEditMs = PROGRESS_MIN_EDIT_MS) {
+    this._send = send;
+    this._edit = edit;
+    this._minEditMs = minEditMs;
+    this.state = { title: "", step: 0, total: 0, status: "", state: "running", startedAt: Date.now() };
+    this.messageId = null;
+    this._lastText = null;
+    this._lastEditAt = 0;
+    this._timer = null;
+    this._inflight = null;
+  }
+
+  get finished() {
+    return this.state.state !== "running";
+  }
+
+  async update(fields) {
+    Object.assign(this.state, fields);
+    // Let an in-flight send land first, so concurrent updates edit it rather than send again
+    while (this._inflight) await this._inflight;
+    if (!this.messageId || this.finished) {
+      clearTimeout(this._timer);
+      this._timer = null;
+      return this._flush();
+    }
+    const wait = this._lastEditAt + this._minEditMs - Date.now();
+    if (wait <= 0) return this._flush();
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._flush().catch((e) => log.warn("Progress update failed:", e.message));
+      }, wait);
+    }
+    return true;
+  }
+
+  _flush() {
+    const p = this._write().finally(() => {
+      if (this._inflight === p) this._inflight = null;
+    });
+    this._inflight = p;
+    return p;
+  }
+
+  async _write() {
+    const text = renderProgress(this.state);
+    if (this.messageId && text === this._lastText) return true;
+    this._lastText = text;
+    this._lastEditAt = Date.now();
+    if (this.messageId) {
+      const res = await this._edit(this.messageId, text);
+      if (res !== "gone") return res === "ok";
+      this.messageId = null; // deleted by the user — start a fresh message
+    }
+    this.messageId = await this._send(text);
+    return !!this.messageId;
+  }
+}
+
+async function sendProgressMessage(text, sessionTopicId) {
+  const { text: plain, entities } = renderMarkdown(text);
+  const body = { chat_id: parseInt(CHAT_ID, 10), text: plain, entities, disable_notification: true };
+  if (sessionTopicId) body.message_thread_id = sessionTopicId;
+  try {
+    const res = await tgSend("sendMessage", body);
+    if (res.ok) return res.result.message_id;
+    log.error("Progress send failed:", res.description || res.error_code);
+  } catch (e) {
+    log.error("Progress send failed:", e.message);
+  }
+  return null;
+}
+
+async function editProgressMessage(messageId, text) {
+  const { text: plain, entities } = renderMarkdown(text);
+  try {
+    const res = await tgSend("editMessageText", {
+      chat_id: parseInt(CHAT_ID, 10), message_id: messageId, text: plain, entities,
+    });
+    if (res.ok || /not modified/i.test(res.description || "")) return "ok";
+    if (res.error_code === 400 && /not found|can't be edited/i.test(res.description || "")) return "gone";
+    log.warn("Progress edit failed:", res.description || res.error_code);
+  } catch (e) {
+    log.warn("Progress edit failed:", e.message);
+  }
+  return "failed";
+}
+
+// ---------------------------------------------------------------------------
+// Send to General topic (no message_thread_id)
+async function sendToGeneral(text) {
+  return sendToSession(text, null);
+}
+
+// ---------------------------------------------------------------------------
+// Message queue — persisted to disk, minimal memory footprint
+// Each session has its own queue. Messages routed by topic.
+// The file is the source of truth: the polling leader may be another bridge
+// process, so every operation first picks up writes made elsewhere, and
+// every change holds `<file>.lock` across its load-modify-save.
+// Emits "message" when something is queued — here, or (once watch() runs) by
+// another process — so waiting calls wake up without polling.
+// ---------------------------------------------------------------------------
+const FILE_LOCK_STALE_MS = 5000;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Run fn while holding `<file>.lock` (O_EXCL create) — the lock every shared
+// store in DATA_DIR takes across its load-modify-save. A lock left by a dead
+// local process, or older than FILE_LOCK_STALE_MS, is taken over.
+function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  let held = false;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (;;) {
+      try {
+        fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+        held = true;
+        break;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        if (fileLockIsStale(lock)) {
+          log.warn(`Taking over stale lock ${path.basename(lock)}`);
+          try { fs.unlinkSync(lock); } catch { /* someone else got there */ }
+        } else {
+          sleepSync(5);
+        }
+      }
+    }
+  } catch (e) {
+    log.warn("File lock failed:", e.message);
+  }
+  try {
+    return fn();
+  } finally {
+    if (held) try { fs.unlinkSync(lock); } catch { /* ok */ }
+  }
+}
+
+function fileLockIsStale(lock) {
+  try {
+    if (Date.now() - fs.statSync(lock).mtimeMs > FILE_LOCK_STALE_MS) return true;
+    const pid = parseInt(fs.readFileSync(lock, "utf-8"), 10);
+    if (pid && pid !== process.pid) {
+      try { process.kill(pid, 0); } catch (e) { if (e.code === "ESRCH") return true; }
+    }
+  } catch { /* released meanwhile — just retry */ }
+  return false;
+}
+
+// One fs.watch per directory, shared by all the watched queues in it and
+// dispatching events by file name (to every queue when the platform gives
+// none). Directories are watched because saves replace files by rename.
+const queueDirWatchers = new Map(); // dir -> { watcher, listeners: Map<name, Set<sub>> }
+
+// Returns an unsubscribe function, or null if the watch can't start;
+// onError runs when the shared watcher dies later
+function watchQueueFile(file, onChange, onError) {
+  const dir = path.dirname(file);
+  const name = path.basename(file);
+  let entry = queueDirWatchers.get(dir);
+  if (!entry) {
+    const listeners = new Map();
+    let watcher;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      watcher = fs.watch(dir, (event, changed) => {
+        const sets = changed ? [listeners.get(changed)] : [...listeners.values()];
+        for (const set of sets) for (const sub of [...(set || [])]) sub.onChange();
+      });
+    } catch (e) {
+      log.warn("Queue watch failed:", e.message);
+      return null;
+    }
+    entry = { watcher, listeners };
+    watcher.on("error", (e) => {
+      log.warn("Queue watch failed:", e.message);
+      watcher.close();
+      queueDirWatchers.delete(dir);
+      for (const set of [...listeners.values()]) for (const sub of [...set]) sub.onError();
+    });
+    watcher.unref();
+    queueDirWatchers.set(dir, entry);
+  }
+  const { watcher, listeners } = entry;
+  const sub = { onChange, onError };
+  if (!listeners.has(name)) listeners.set(name, new Set());
+  listeners.get(name).add(sub);
+  return () => {
+    const set = listeners.get(name);
+    if (!set || !set.delete(sub)) return;
+    if (!set.size) listeners.delete(name);
+    if (!listeners.size && queueDirWatchers.get(dir) === entry) {
+      watcher.close();
+      queueDirWatchers.delete(dir);
+    }
+  };
+}
+
+class MessageQueue extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this._file = filePath;
+    this._pending = [];
+    this._delivered = [];
+    this._stamp = null;
+    this._unwatch = null;
+    this._announced = new Set(); // pending ids already emitted while watching
+    this._lockDepth = 0;
+    this._load();
+  }
+
+  // Run fn on freshly loaded state while holding the queue's lockfile.
+  // Re-entrant for nested calls.
+  _locked(fn) {
+    if (this._lockDepth > 0) return fn();
+    return withFileLock(this._file, () => {
+      this._lockDepth++;
+      try {
+        this._load();
+        return fn();
+      } finally {
+        this._lockDepth--;
+      }
+    });
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this._file)) {
+        const st = fs.statSync(this._file);
+        const data = JSON.parse(fs.readFileSync(this._file, "utf-8"));
+        this._pending = data.pending || [];
+        this._delivered = (data.delivered || []).slice(-MAX_HISTORY);
+        this._stamp = `${st.mtimeMs}:${st.size}`;
+      }
+    } catch (e) {
+      log.warn("Queue load failed:", e.message);
+    }
+  }
+
+  // Reload if another process wrote the file since we last read/wrote it
+  _sync() {
+    try {
+      const st = fs.statSync(this._file);
+      if (`${st.mtimeMs}:${st.size}` !== this._stamp) this._load();
+    } catch { /* not written yet */ }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this._file), { recursive: true });
+      // Write-then-rename so readers in other processes never see a partial file
+      const tmp = `${this._file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({
+        pending: this._pending,
+        delivered: this._delivered.slice(-MAX_HISTORY),
+      }, null, 2));
+      fs.renameSync(tmp, this._file);
+      const st = fs.statSync(this._file);
+      this._stamp = `${st.mtimeMs}:${st.size}`;
+    } catch (e) {
+      log.warn("Queue save failed:", e.message);
+    }
+  }
+
+  // meta: optional { files, reply_to, forwarded_from } context stored with the message
+  enqueue(text, sender = "user", image = null, tgMessageId = null, meta = null) {
+    const msg = {
+      id: crypto.randomBytes(4).toString("hex"),
+      text,
+      sender,
+      ts: Math.floor(Date.now() / 1000),
+    };
+    if (image) msg.image = image;
+    if (tgMessageId) msg.tg_msg_id = tgMessageId;
+    if (meta) {
+      for (const [key, val] of Object.entries(meta)) if (val) msg[key] = val;
+    }
+    this._locked(() => {
+      this._pending.push(msg);
+      this._save();
+    });
+    if (this._unwatch) this._announced.add(msg.id);
+    this.emit("message", msg);
+    return msg;
+  }
+
+  poll() {
+    this._sync();
+    if (!this._pending.length) return [];
+    return this._locked(() => {
+      const msgs = this._pending.splice(0);
+      if (!msgs.length) return [];
+      this._delivered.push(...msgs.map(m => { const { image, ...rest } = m; return rest; }));
+      this._save();
+      return msgs;
+    });
+  }
+
+  // Poll only messages with ts > sinceTs (for timestamp-aware polling)
+  pollSince(sinceTs) {
+    this._sync();
+    if (!this._pending.length) return [];
+    return this._locked(() => {
+      if (!this._pending.length) return [];
+      const fresh = [];
+      const stale = [];
+      for (const m of this._pending) {
+        if (m.ts > sinceTs) fresh.push(m);
+        else stale.push(m);
+      }
+      const strip = (m) => { const { image, ...rest } = m; return rest; };
+      if (stale.length) this._delivered.push(...stale.map(strip));
+      if (fresh.length) this._delivered.push(...fresh.map(strip));
+      this._pending = [];
+      this._save();
+      return fresh;
+    });
+  }
+
+  pendingCount() {
+    this._sync();
+    return this._pending.length;
+  }
+
+  pendingCountSince(sinceTs) {
+    this._sync();
+    if (!sinceTs) return this._pending.length;
+    return this._pending.filter(m => m.ts > sinceTs).length;
+  }
+
+  // The user edited a message: fix it in place while still pending, otherwise
+  // queue a correction. Returns "replaced", "corrected", or null if unknown here.
+  applyEdit(tgMsgId, text) {
+    let pending = null;
+    const result = this._locked(() => {
+      pending = this._pending.find((m) => m.tg_msg_id === tgMsgId);
+      if (pending) {
+        pending.text = text;
+        this._save();
+        return "replaced";
+      }
+      const original = this._delivered.find((m) => m.tg_msg_id === tgMsgId);
+      if (!original) return null;
+      this.enqueue(text, "user", null, tgMsgId, { edited: true, edit_of: tgMsgId, topic_id: original.topic_id });
+      return "corrected";
+    });
+    if (pending) this.emit("message", pending);
+    return result;
+  }
+
+  // Watch for writes by other bridge processes. Emits for pending messages not
+  // announced yet — not on a stamp change, since any other read may have
+  // synced the file first
+  watch() {
+    if (this._unwatch) return;
+    this._sync();
+    this._announced = new Set(this._pending.map((m) => m.id));
+    this._unwatch = watchQueueFile(this._file, () => {
+      this._sync();
+      const fresh = this._pending.some((m) => !this._announced.has(m.id));
+      this._announced = new Set(this._pending.map((m) => m.id));
+      if (fresh) this.emit("message");
+    }, () => {
+      this._unwatch = null;
+    });
+  }
+
+  unwatch() {
+    if (this._unwatch) this._unwatch();
+    this._unwatch = null;
+    this._announced.clear();
+  }
+
+  // Resolves true as soon as a message is pending, or false after timeoutMs
+  // or when the signal aborts
+  waitForMessage(timeoutMs, signal = null) {
+    this.watch();
+    if (this.pendingCount() > 0) return Promise.resolve(true);
+    if (signal?.aborted) return Promise.resolve(false);
+    return new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timer);
+        this.off("message", finish);
+        signal?.removeEventListener("abort", finish);
+        resolve(!signal?.aborted && this.pendingCount() > 0);
+      };
+      const timer = setTimeout(finish, Math.max(timeoutMs, 0));
+      this.on("message", finish);
+      signal?.addEventListener("abort", finish);
+    });
+  }
+
+  // Read-only snapshot for MCP resources: delivered history plus unread
+  // messages (flagged pending), with image data reduced to a flag
+  history() {
+    this._sync();
+    const strip = ({ image, ...rest }) => (image ? { ...rest, image: true } : rest);
+    return [...this._delivered.map(strip), ...this._pending.map((m) => ({ ...strip(m), pending: true }))];
+  }
+
+  // Pending or history entry for a Telegram message — a user message's
+  // tg_msg_id, or one of the tg_msg_ids recorded for an agent message
+  findByTgId(tgMsgId) {
+    this._sync();
+    return [...this._pending, ...this._delivered]
+      .find((m) => m.tg_msg_id === tgMsgId || (m.tg_msg_ids || []).includes(tgMsgId)) || null;
+  }
+
+  // Append an event that isn't a user message (e.g. an approval decision) to the history
+  record(text, sender, extra = {}) {
+    const entry = {
+      id: crypto.randomBytes(4).toString("hex"),
+      text,
+      sender,
+      ts: Math.floor(Date.now() / 1000),
+      ...extra,
+    };
+    this._locked(() => {
+      this._delivered.push(entry);
+      this._save();
+    });
+    return entry;
+  }
+
+  clear() {
+    this._locked(() => {
+      this._pending = [];
+      this._delivered = [];
+      this._save();
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Session registry — tracks all active sessions across machines
+// Shared by every bridge process in DATA_DIR, so it re-reads the file before
+// each read-modify-write instead of trusting its in-memory copy.
+// ---------------------------------------------------------------------------
+class SessionRegistry {
   constructor(dataDir) {
     this._dir = dataDir;
     this._file = path.join(dataDir, "_sessions.json");
@@ -456,13 +1597,17 @@ class SessionRegistry {
   _save() {
     try {
       fs.mkdirSync(this._dir, { recursive: true });
-      fs.writeFileSync(this._file, JSON.stringify(this._sessions, null, 2));
+      const tmp = `${this._file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this._sessions, null, 2));
+      fs.renameSync(tmp, this._file);
     } catch (e) {
       log.warn("Session registry save failed:", e.message);
     }
   }
 
   register(sessionId, machine, agent, topicId) {
+    this._load();
+    const prev = this._sessions[sessionId];
     this._sessions[sessionId] = {
       machine,
       agent,
@@ -471,11 +1616,13 @@ class SessionRegistry {
       startedAt: Math.floor(Date.now() / 1000),
       lastSeen: Math.floor(Date.now() / 1000),
       active: true,
+      paused: !!prev?.paused,
     };
     this._save();
   }
 
   updateTopicId(sessionId, tid) {
+    this._load();
     if (this._sessions[sessionId]) {
       this._sessions[sessionId].topicId = tid;
       this._save();
@@ -483,6 +1630,7 @@ class SessionRegistry {
   }
 
   heartbeat(sessionId) {
+    this._load();
     if (this._sessions[sessionId]) {
       this._sessions[sessionId].lastSeen = Math.floor(Date.now() / 1000);
       this._save();
@@ -490,13 +1638,30 @@ class SessionRegistry {
   }
 
   deactivate(sessionId) {
+    this._load();
     if (this._sessions[sessionId]) {
       this._sessions[sessionId].active = false;
       this._save();
     }
   }
 
+  // Pause / skip-wait flags, set by whichever process is polling Telegram
+  setControl(sessionId, flags) {
+    this._load();
+    if (this._sessions[sessionId]) {
+      Object.assign(this._sessions[sessionId], flags);
+      this._save();
+    }
+  }
+
+  getControl(sessionId) {
+    this._load();
+    const s = this._sessions[sessionId];
+    return s ? { paused: !!s.paused, skipWait: !!s.skipWait } : null;
+  }
+
   getActive() {
+    this._load();
     const now = Math.floor(Date.now() / 1000);
     const result = {};
     for (const [id, s] of Object.entries(this._sessions)) {
@@ -508,6 +1673,7 @@ class SessionRegistry {
   }
 
   getAll() {
+    this._load();
     return { ...this._sessions };
   }
 
@@ -517,6 +1683,7 @@ class SessionRegistry {
 
   // Find session by topic ID
   findByTopicId(tid) {
+    this._load();
     for (const [id, s] of Object.entries(this._sessions)) {
       if (s.topicId === tid && s.active) return id;
     }
@@ -525,199 +1692,1265 @@ class SessionRegistry {
 }
 
 // ---------------------------------------------------------------------------
-// Initialize registry
+// Question store — open inline-keyboard questions, shared through DATA_DIR so
+// whichever process polls Telegram can record the button press for the
+// process whose agent is waiting on it. Changes hold `<file>.lock`, like the
+// message queues, so a press can't be overwritten by another session's save.
 // ---------------------------------------------------------------------------
-fs.mkdirSync(DATA_DIR, { recursive: true });
-const registry = new SessionRegistry(DATA_DIR);
+const QUESTION_MAX_AGE_S = 86400;
 
-// ---------------------------------------------------------------------------
-// Route incoming messages by topic → session
-// ---------------------------------------------------------------------------
-function routeMessageToSession(text, sender, msgTopicId, image = null, tgMessageId = null) {
-  if (msgTopicId) {
-    const topicToSession = buildTopicToSessionMap();
-    const targetSessionId = topicToSession[String(msgTopicId)];
-    if (targetSessionId) {
-      const s = getSession(targetSessionId);
-      s.queue.enqueue(text, sender, image, tgMessageId);
-      return true;
+class QuestionStore {
+  constructor(dataDir) {
+    this._dir = dataDir;
+    this._file = path.join(dataDir, "_questions.json");
+    this._questions = {};
+    this._load();
+  }
+
+  _load() {
+    try {
+      this._questions = fs.existsSync(this._file)
+        ? JSON.parse(fs.readFileSync(this._file, "utf-8"))
+        : {};
+    } catch { /* ok */ }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(this._dir, { recursive: true });
+      const tmp = `${this._file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this._questions, null, 2));
+      fs.renameSync(tmp, this._file);
+    } catch (e) {
+      log.warn("Question store save failed:", e.message);
     }
-    return false;
   }
 
-  // Message in General topic — broadcast to all known sessions
-  broadcastToAllSessions(text, sender, image, tgMessageId);
-  return true;
-}
+  // Run fn on freshly loaded questions while holding the store's lockfile
+  _locked(fn) {
+    return withFileLock(this._file, () => {
+      this._load();
+      return fn();
+    });
+  }
 
-function broadcastToAllSessions(text, sender, image = null, tgMessageId = null) {
-  // Broadcast to all sessions in the in-memory map
-  for (const [, s] of sessions) {
-    s.queue.enqueue(text, sender, image, tgMessageId);
+  create(sessionId, text, options, kind = "choice") {
+    return this._locked(() => {
+      const now = Math.floor(Date.now() / 1000);
+      for (const [id, q] of Object.entries(this._questions)) {
+        if (now - q.createdAt > QUESTION_MAX_AGE_S) delete this._questions[id];
+      }
+      const id = crypto.randomBytes(4).toString("hex");
+      this._questions[id] = { sessionId, kind, text, options, messageId: null, createdAt: now, answer: null };
+      this._save();
+      return id;
+    });
   }
-  // Also broadcast to active registry sessions not yet in memory
-  const activeIds = registry.getActiveSessionIds();
-  for (const sid of activeIds) {
-    if (!sessions.has(sid)) {
-      const s = getSession(sid);
-      s.queue.enqueue(text, sender, image, tgMessageId);
-    }
+
+  get(id) {
+    this._load();
+    return this._questions[id] || null;
+  }
+
+  setMessageId(id, messageId) {
+    this._locked(() => {
+      if (this._questions[id]) {
+        this._questions[id].messageId = messageId;
+        this._save();
+      }
+    });
+  }
+
+  // Record the answer; only the first press counts. Returns true if recorded.
+  answer(id, answer) {
+    return this._locked(() => {
+      const q = this._questions[id];
+      if (!q || q.answer) return false;
+      q.answer = answer;
+      this._save();
+      return true;
+    });
+  }
+
+  remove(id) {
+    this._locked(() => {
+      if (this._questions[id]) {
+        delete this._questions[id];
+        this._save();
+      }
+    });
   }
 }
 
 // ---------------------------------------------------------------------------
-// Telegram long-polling loop (runs in background)
+// Poll store — open native polls and their votes, shared through DATA_DIR like
+// the question store (the poller records votes, the asking process tallies),
+// with the same `<file>.lock` around every change
+// ---------------------------------------------------------------------------
+class PollStore {
+  constructor(dataDir) {
+    this._dir = dataDir;
+    this._file = path.join(dataDir, "_polls.json");
+    this._polls = {};
+    this._load();
+  }
+
+  _load() {
+    try {
+      this._polls = fs.existsSync(this._file)
+        ? JSON.parse(fs.readFileSync(this._file, "utf-8"))
+        : {};
+    } catch { /* ok */ }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(this._dir, { recursive: true });
+      const tmp = `${this._file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this._polls, null, 2));
+      fs.renameSync(tmp, this._file);
+    } catch (e) {
+      log.warn("Poll store save failed:", e.message);
+    }
+  }
+
+  _locked(fn) {
+    return withFileLock(this._file, () => {
+      this._load();
+      return fn();
+    });
+  }
+
+  create(pollId, sessionId, options, anonymous) {
+    this._locked(() => {
+      const now = Math.floor(Date.now() / 1000);
+      for (const [id, p] of Object.entries(this._polls)) {
+        if (now - p.createdAt > QUESTION_MAX_AGE_S) delete this._polls[id];
+      }
+      this._polls[pollId] = {
+        sessionId, options, anonymous, createdAt: now,
+        counts: options.map(() => 0), totalVoters: 0, answers: {},
+      };
+      this._save();
+    });
+  }
+
+  get(pollId) {
+    this._load();
+    return this._polls[pollId] || null;
+  }
+
+  // poll_answer update (non-anonymous polls); empty optionIds = vote retracted
+  recordAnswer(pollId, userId, by, optionIds) {
+    return this._locked(() => {
+      const p = this._polls[pollId];
+      if (!p) return false;
+      if (optionIds.length) p.answers[userId] = { by, option_ids: optionIds };
+      else delete p.answers[userId];
+      this._save();
+      return true;
+    });
+  }
+
+  // poll update — the vote counts Telegram reports (the only source for anonymous polls)
+  recordCounts(pollId, options, totalVoters) {
+    return this._locked(() => {
+      const p = this._polls[pollId];
+      if (!p) return false;
+      p.counts = options.map((o) => o.voter_count || 0);
+      p.totalVoters = totalVoters || 0;
+      this._save();
+      return true;
+    });
+  }
+
+  remove(pollId) {
+    this._locked(() => {
+      if (this._polls[pollId]) {
+        delete this._polls[pollId];
+        this._save();
+      }
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Initialize registry
+// ---------------------------------------------------------------------------
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const registry = new SessionRegistry(DATA_DIR);
+const questions = new QuestionStore(DATA_DIR);
+const polls = new PollStore(DATA_DIR);
+
+// ---------------------------------------------------------------------------
+// Route incoming messages by topic → session
+// ---------------------------------------------------------------------------
+function routeMessageToSession(text, sender, msgTopicId, image = null, tgMessageId = null, meta = null) {
+  if (msgTopicId) {
+    const topicToSession = buildTopicToSessionMap();
+    const targetSessionId = topicToSession[String(msgTopicId)];
+    if (targetSessionId) {
+      // topic_id marks where it was posted (manage_message scope); General broadcasts have none
+      const s = getSession(targetSessionId);
+      s.queue.enqueue(text, sender, image, tgMessageId, { ...meta, topic_id: msgTopicId });
+      return true;
+    }
+    return false;
+  }
+
+  // Message in General topic — broadcast to all known sessions
+  broadcastToAllSessions(text, sender, image, tgMessageId, meta);
+  return true;
+}
+
+// Edits go wherever the original went: its topic's session, or every session
+function routeEditToSessions(tgMsgId, text, msgTopicId) {
+  let ids;
+  if (msgTopicId) {
+    const sid = buildTopicToSessionMap()[String(msgTopicId)];
+    ids = sid ? [sid] : [];
+  } else {
+    ids = allKnownSessionIds();
+  }
+  const results = ids.map((sid) => getSession(sid).queue.applyEdit(tgMsgId, text));
+  return results.filter(Boolean);
+}
+
+function broadcastToAllSessions(text, sender, image = null, tgMessageId = null, meta = null) {
+  // Broadcast to all sessions in the in-memory map
+  for (const [, s] of sessions) {
+    s.queue.enqueue(text, sender, image, tgMessageId, meta);
+  }
+  // Also broadcast to active registry sessions not yet in memory
+  const activeIds = registry.getActiveSessionIds();
+  for (const sid of activeIds) {
+    if (!sessions.has(sid)) {
+      const s = getSession(sid);
+      s.queue.enqueue(text, sender, image, tgMessageId, meta);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pause / continue control — flags live in the registry so the polling leader
+// can signal sessions served by other bridge processes
+// ---------------------------------------------------------------------------
+function applyControl(sessionId, flags) {
+  registry.setControl(sessionId, flags);
+  if (sessions.has(sessionId)) Object.assign(sessions.get(sessionId), flags);
+}
+
+// Pull flags set by the leader into a waiting session (consumes skipWait)
+function syncControl(sessionId, session) {
+  const ctl = registry.getControl(sessionId);
+  if (!ctl) return;
+  session.paused = ctl.paused;
+  if (ctl.skipWait) {
+    session.skipWait = true;
+    registry.setControl(sessionId, { skipWait: false });
+  }
+}
+
+// Sessions a General-topic command applies to: ours plus every active one
+function allKnownSessionIds() {
+  return [...new Set([...sessions.keys(), ...registry.getActiveSessionIds()])];
+}
+
+// ---------------------------------------------------------------------------
+// Leader election — only one bridge process per DATA_DIR talks to
+// getUpdates/webhook; it routes into the shared queue files, and the others
+// just read their own queues. The lock holds a heartbeat; a lock whose
+// heartbeat is stale (or whose process is gone) is taken over.
+// ---------------------------------------------------------------------------
+const LEADER_STALE_MS = parseInt(process.env.TELEGRAM_LEADER_STALE_MS || "60000", 10);
+
+class LeaderLock {
+  constructor(file, staleMs = LEADER_STALE_MS) {
+    this._file = file;
+    this._staleMs = staleMs;
+    this._id = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  }
+
+  _read() {
+    try { return JSON.parse(fs.readFileSync(this._file, "utf-8")); } catch { return null; }
+  }
+
+  _isStale(lock) {
+    if (Date.now() - (lock.heartbeat || 0) > this._staleMs) return true;
+    // Same machine: a dead holder is stale right away
+    if (lock.host === os.hostname() && lock.pid !== process.pid) {
+      try { process.kill(lock.pid, 0); } catch (e) { if (e.code === "ESRCH") return true; }
+    }
+    return false;
+  }
+
+  _contents() {
+    return JSON.stringify({ id: this._id, pid: process.pid, host: os.hostname(), heartbeat: Date.now() });
+  }
+
+  // Acquire the lock, or refresh its heartbeat if already held.
+  // Returns true while this process is the leader.
+  acquire() {
+    const cur = this._read();
+    const tmp = `${this._file}.${this._id}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this._file), { recursive: true });
+      if (cur && cur.id === this._id) {
+        fs.writeFileSync(tmp, this._contents());
+        fs.renameSync(tmp, this._file);
+        return true;
+      }
+      if (cur && !this._isStale(cur)) return false;
+      if (cur) {
+        log.info(`Taking over stale poller lock from pid ${cur.pid}@${cur.host}`);
+        try { fs.unlinkSync(this._file); } catch { /* someone else got there */ }
+      }
+      // link() fails if the file exists — an atomic create-with-contents
+      fs.writeFileSync(tmp, this._contents());
+      try { fs.linkSync(tmp, this._file); } catch { return false; } finally { fs.rmSync(tmp, { force: true }); }
+      return this._read()?.id === this._id;
+    } catch (e) {
+      log.warn("Poller lock error:", e.message);
+      return false;
+    }
+  }
+
+  release() {
+    if (this._read()?.id === this._id) {
+      try { fs.unlinkSync(this._file); } catch { /* ok */ }
+    }
+  }
+}
+
+const pollerLock = new LeaderLock(path.join(DATA_DIR, "_poller.lock"));
+
+// ---------------------------------------------------------------------------
+// Telegram long-polling loop (runs in background)
 // ---------------------------------------------------------------------------
 let lastUpdateId = 0;
 let pollingActive = false;
+const ALLOWED_UPDATES = ["message", "edited_message", "callback_query", "message_reaction", "poll", "poll_answer"];
 const processedUpdates = new Set();
 
+// ---------------------------------------------------------------------------
+// getUpdates offset — persisted so replies sent while the bridge (or the
+// leader) was restarting are replayed instead of skipped
+// ---------------------------------------------------------------------------
+function getOffsetFile() { return path.join(DATA_DIR, "_offset.json"); }
+
+function loadUpdateOffset() {
+  try {
+    if (fs.existsSync(getOffsetFile())) {
+      return JSON.parse(fs.readFileSync(getOffsetFile(), "utf-8")).offset || 0;
+    }
+  } catch { /* ok */ }
+  return 0;
+}
+
+function saveUpdateOffset(offset) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${getOffsetFile()}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ offset }));
+    fs.renameSync(tmp, getOffsetFile());
+  } catch (e) {
+    log.warn("Offset save failed:", e.message);
+  }
+}
+
+// Replayed messages older than REPLAY_MAX_AGE_S are dropped
+function isTooOldToReplay(msg, nowSec = Math.floor(Date.now() / 1000)) {
+  return REPLAY_MAX_AGE_S > 0 && !!msg.date && nowSec - msg.date > REPLAY_MAX_AGE_S;
+}
+
 async function flushOldUpdates() {
   try {
     const res = await tgApi("getUpdates", { offset: -1 });
     if (res.ok && res.result && res.result.length) {
       lastUpdateId = res.result[res.result.length - 1].update_id + 1;
+      saveUpdateOffset(lastUpdateId);
     }
   } catch (e) {
     log.warn("Flush old updates failed:", e.message);
   }
 }
 
-async function pollTelegram() {
+// Resume from the saved offset; only a first run (nothing saved) skips the backlog
+async function initUpdateOffset() {
+  const saved = loadUpdateOffset();
+  if (saved) {
+    lastUpdateId = saved;
+    log.info(`Resuming Telegram updates from offset ${saved}`);
+    return;
+  }
+  await flushOldUpdates();
+}
+
+// ---------------------------------------------------------------------------
+// Inline-keyboard questions (ask tool)
+// ---------------------------------------------------------------------------
+const ASK_MAX_OPTIONS = 12;
+const ASK_SHORT_LABEL = 12;
+
+// Accepts ["Yes", "No"] or [{id, label}]; returns [{id, label}] or null if invalid
+function normalizeOptions(options) {
+  if (!Array.isArray(options) || options.length === 0 || options.length > ASK_MAX_OPTIONS) return null;
+  const out = [];
+  for (const o of options) {
+    const label = String(typeof o === "object" && o ? o.label ?? o.id ?? "" : o ?? "").trim();
+    const id = String(typeof o === "object" && o ? o.id ?? label : label).trim();
+    if (!label || !id || out.some((x) => x.id === id)) return null;
+    out.push({ id, label });
+  }
+  return out;
+}
+
+// Short labels go three to a row, anything longer gets a row of its own
+function buildKeyboard(questionId, options) {
+  const perRow = options.every((o) => o.label.length <= ASK_SHORT_LABEL) ? 3 : 1;
+  const rows = [];
+  options.forEach((o, i) => {
+    if (i % perRow === 0) rows.push([]);
+    rows[rows.length - 1].push({ text: o.label, callback_data: `q:${questionId}:${i}` });
+  });
+  return { inline_keyboard: rows };
+}
+
+function parseCallbackData(data) {
+  const m = /^q:([0-9a-f]+):(\d+)$/.exec(data || "");
+  return m ? { questionId: m[1], index: parseInt(m[2], 10) } : null;
+}
+
+function userDisplayName(from) {
+  if (!from) return "unknown";
+  if (from.username) return `@${from.username}`;
+  return [from.first_name, from.last_name].filter(Boolean).join(" ") || String(from.id);
+}
+
+// Replace the question's keyboard with a closing line (chosen option or expiry)
+async function closeQuestionMessage(q, footer) {
+  if (!q.messageId) return;
+  const { text, entities } = renderMarkdown(q.text);
   try {
-    const res = await tgApi("getUpdates", {
-      offset: lastUpdateId,
-      timeout: 2,
-      allowed_updates: ["message"],
+    await tgSend("editMessageText", {
+      chat_id: CHAT_ID,
+      message_id: q.messageId,
+      text: `${text}\n\n${footer}`,
+      entities,
+      reply_markup: { inline_keyboard: [] },
     });
-    if (!res.ok || !res.result) return;
-    for (const update of res.result) {
-      lastUpdateId = update.update_id + 1;
-      if (processedUpdates.has(update.update_id)) continue;
-      processedUpdates.add(update.update_id);
-      if (processedUpdates.size > 1000) {
-        const oldest = processedUpdates.values().next().value;
-        processedUpdates.delete(oldest);
-      }
-      const msg = update.message;
-      if (!msg) continue;
-      const chatId = String(msg.chat.id);
-      if (CHAT_ID && chatId !== CHAT_ID) continue;
-
-      // Skip bot's own messages
-      if (msg.from && msg.from.is_bot) continue;
-
-      const msgTopicId = msg.message_thread_id || null;
-
-      // Handle /pause, /resume, /continue in any topic (session-specific or General for all)
-      // Pause/resume is silent — the agent never knows. Server just holds/releases the wait loop.
-      if (msg.text === "/pause" || msg.text === "/resume") {
-        const isPause = msg.text === "/pause";
-        if (msgTopicId) {
-          const topicToSession = buildTopicToSessionMap();
-          const targetSid = topicToSession[String(msgTopicId)];
-          if (targetSid && sessions.has(targetSid)) {
-            sessions.get(targetSid).paused = isPause;
-            log.info(`Session ${targetSid} ${isPause ? "paused" : "resumed"} by user`);
-          }
-        } else {
-          let count = 0;
-          for (const [, s] of sessions) {
-            s.paused = isPause;
-            count++;
-          }
-          log.info(`All sessions (${count}) ${isPause ? "paused" : "resumed"} by user`);
-        }
-        continue;
+  } catch (e) {
+    log.warn("Question edit failed:", e.message);
+  }
+}
+
+async function handleCallbackQuery(cq) {
+  const chatId = cq.message ? String(cq.message.chat.id) : "";
+  if (CHAT_ID && chatId !== CHAT_ID) return;
+
+  const parsed = parseCallbackData(cq.data);
+  const q = parsed ? questions.get(parsed.questionId) : null;
+  const opt = q ? q.options[parsed.index] : null;
+  const by = userDisplayName(cq.from);
+  const recorded = !!opt && questions.answer(parsed.questionId, {
+    id: opt.id, label: opt.label, by, at: Math.floor(Date.now() / 1000),
+  });
+
+  // Always answer the callback so the button stops spinning
+  try {
+    await tgApi("answerCallbackQuery", {
+      callback_query_id: cq.id,
+      text: recorded ? `Chose: ${opt.label}` : "This question is no longer open",
+    });
+  } catch (e) {
+    log.warn("answerCallbackQuery failed:", e.message);
+  }
+  if (!recorded) return;
+
+  log.info(`Question ${parsed.questionId} answered by ${by}: "${opt.label}"`);
+  if (q.kind === "approval") {
+    await closeQuestionMessage(q, opt.id === "approve" ? `✅ Approved by ${by}` : `❌ Denied by ${by}`);
+  } else {
+    await closeQuestionMessage(q, `✅ ${opt.label} — ${by}`);
+  }
+}
+
+// Approve/Deny buttons for request_approval
+const APPROVAL_OPTIONS = [
+  { id: "approve", label: "✅ Approve" },
+  { id: "deny", label: "❌ Deny" },
+];
+
+// Outcome of request_approval: the pressed button, else the on_timeout
+// default. /continue is not consent — a skipped wait is always denied.
+function approvalDecision(answer, onTimeout, skipped) {
+  if (answer) return { approved: answer.id === "approve", by: answer.by, at: answer.at, timed_out: false };
+  const at = Math.floor(Date.now() / 1000);
+  if (skipped) return { approved: false, by: null, at, timed_out: false, skipped: true };
+  return { approved: onTimeout === "approve", by: null, at, timed_out: true };
+}
+
+// ---------------------------------------------------------------------------
+// Incoming attachments — documents, videos, audio and voice notes are saved
+// to a per-session inbox under DATA_DIR so the agent can open them by path
+// ---------------------------------------------------------------------------
+const INLINE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const INLINE_IMAGE_MIME_RE = /^image\/(png|jpeg|gif|webp)$/;
+
+function safeFileName(name) {
+  return path.basename(String(name)).replace(/[^\w.\-]+/g, "_").replace(/^\.+/, "").slice(-100) || "file";
+}
+
+// General-topic attachments go to a shared "_general" inbox
+function getInboxDir(sessionId) {
+  return path.join(DATA_DIR, "inbox", safeFileName(sessionId || "_general"));
+}
+
+// The attachment carried by a message (other than a photo), or null
+function describeAttachment(msg) {
+  const id = msg.message_id;
+  const of = (f, name, mime) => ({
+    fileId: f.file_id,
+    name: f.file_name || name,
+    mime: f.mime_type || mime,
+    size: f.file_size || 0,
+  });
+  if (msg.document) return of(msg.document, `document-${id}`, "application/octet-stream");
+  if (msg.video) return of(msg.video, `video-${id}.mp4`, "video/mp4");
+  if (msg.voice) return of(msg.voice, `voice-${id}.ogg`, "audio/ogg");
+  if (msg.audio) return of(msg.audio, `audio-${id}.mp3`, "audio/mpeg");
+  if (msg.video_note) return of(msg.video_note, `video-note-${id}.mp4`, "video/mp4");
+  return null;
+}
+
+// Download into the inbox. Returns { entry: {name, mime, size, path, error?}, data }
+// — failures are reported in entry.error so the agent still learns a file was sent.
+// `data` holds the contents only for images small enough to inline.
+async function downloadAttachment(att, inboxDir, messageId) {
+  const entry = { name: att.name, mime: att.mime, size: att.size, path: null };
+  if (MAX_DOWNLOAD_BYTES && att.size > MAX_DOWNLOAD_BYTES) {
+    entry.error = `too large to download (Bot API limit is ${MAX_DOWNLOAD_BYTES / (1024 * 1024)} MB)`;
+    return { entry, data: null };
+  }
+  try {
+    const info = await tgApi("getFile", { file_id: att.fileId });
+    if (!info.ok || !info.result.file_path) {
+      entry.error = info.description || "getFile failed";
+      return { entry, data: null };
+    }
+    fs.mkdirSync(inboxDir, { recursive: true });
+    const file = path.join(inboxDir, `${messageId}-${safeFileName(att.name)}`);
+    entry.size = await downloadTgFileTo(info.result.file_path, file, MAX_DOWNLOAD_BYTES);
+    entry.path = file;
+    const inline = INLINE_IMAGE_MIME_RE.test(att.mime) && entry.size <= INLINE_IMAGE_MAX_BYTES;
+    return { entry, data: inline ? fs.readFileSync(file) : null };
+  } catch (e) {
+    log.warn("Attachment download failed:", e.message);
+    entry.error = e.message;
+    return { entry, data: null };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Incoming formatting — Telegram entities turned back into Markdown, so code
+// blocks, links and emphasis the user pastes reach the agent intact
+// ---------------------------------------------------------------------------
+const ENTITY_MARKERS = { bold: "**", italic: "_", strikethrough: "~~" };
+
+function entitiesToMarkdown(text, entities) {
+  if (!text || !entities || !entities.length) return text || "";
+  // Nest entities: each becomes a child of the nearest entity enclosing it
+  const root = { type: "root", offset: 0, length: text.length, children: [] };
+  const stack = [root];
+  const sorted = [...entities].sort((a, b) => a.offset - b.offset || b.length - a.length);
+  for (const e of sorted) {
+    while (stack.length > 1) {
+      const top = stack[stack.length - 1];
+      if (e.offset < top.offset + top.length) break;
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    // Entities overlapping their parent's end are clipped to fit
+    const length = Math.min(e.length, parent.offset + parent.length - e.offset);
+    if (length <= 0) continue;
+    const node = { ...e, length, children: [] };
+    parent.children.push(node);
+    stack.push(node);
+  }
+  return renderEntityNode(text, root);
+}
+
+function renderEntityChildren(text, node) {
+  let out = "";
+  let pos = node.offset;
+  for (const child of node.children) {
+    out += text.slice(pos, child.offset);
+    let md = renderEntityNode(text, child);
+    pos = child.offset + child.length;
+    // Code fences need lines of their own
+    if (child.type === "pre") {
+      if (out && !out.endsWith("\n")) md = `\n${md}`;
+      if (pos < node.offset + node.length && text[pos] !== "\n") md += "\n";
+    }
+    out += md;
+  }
+  return out + text.slice(pos, node.offset + node.length);
+}
+
+function renderEntityNode(text, node) {
+  const raw = text.slice(node.offset, node.offset + node.length);
+  if (node.type === "pre") {
+    const fence = raw.includes("```") ? "````" : "```";
+    return `${fence}${node.language || ""}\n${raw.replace(/\n$/, "")}\n${fence}`;
+  }
+  if (node.type === "code") return raw.includes("`") ? wrapInline(raw, "`` ", " ``") : wrapInline(raw, "`");
+  const inner = renderEntityChildren(text, node);
+  switch (node.type) {
+    case "bold":
+    case "italic":
+    case "strikethrough":
+      return wrapInline(inner, ENTITY_MARKERS[node.type]);
+    case "text_link":
+      return `[${inner}](${node.url})`;
+    case "text_mention":
+      return node.user ? `[${inner}](tg://user?id=${node.user.id})` : inner;
+    case "blockquote":
+    case "expandable_blockquote":
+      return inner.split("\n").map((l) => `> ${l}`).join("\n");
+    default:
+      // mention, url, hashtag, … are already plain text
+      return inner;
+  }
+}
+
+// Keep surrounding whitespace outside the markers: "**bold** ", not "**bold **"
+function wrapInline(s, open, close = open) {
+  const m = s.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return m[2] ? `${m[1]}${open}${m[2]}${close}${m[3]}` : s;
+}
+
+// ---------------------------------------------------------------------------
+// Native polls (poll tool) — group votes on agent proposals
+// ---------------------------------------------------------------------------
+const POLL_MAX_OPTIONS = 10;
+
+// Per-option votes; voter names too when the poll isn't anonymous
+function tallyPoll(p) {
+  const voters = Object.values(p.answers);
+  const tally = p.options.map((option, i) => {
+    if (p.anonymous) return { option, votes: p.counts[i] || 0 };
+    const names = voters.filter((a) => a.option_ids.includes(i)).map((a) => a.by);
+    return { option, votes: Math.max(names.length, p.counts[i] || 0), voters: names };
+  });
+  return { total_voters: p.anonymous ? p.totalVoters : Math.max(voters.length, p.totalVoters), tally };
+}
+
+// Tally from a Telegram Poll object (stopPoll result) when the stored entry is gone
+function tallyStoppedPoll(poll) {
+  return {
+    total_voters: poll.total_voter_count,
+    tally: poll.options.map((o) => ({ option: o.text, votes: o.voter_count })),
+  };
+}
+
+function handlePollUpdate(update) {
+  if (update.poll) {
+    const p = update.poll;
+    polls.recordCounts(p.id, p.options, p.total_voter_count);
+  } else if (update.poll_answer) {
+    const a = update.poll_answer;
+    if (!a.user) return;
+    if (polls.recordAnswer(a.poll_id, a.user.id, userDisplayName(a.user), a.option_ids || [])) {
+      log.info(`Poll ${a.poll_id}: ${userDisplayName(a.user)} voted ${JSON.stringify(a.option_ids || [])}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reactions — a 👍/👎 on an agent message is delivered as a structured event.
+// Telegram only sends these when the bot is a chat admin.
+// ---------------------------------------------------------------------------
+// Variation selectors differ between clients ("❤" vs "❤️") — compare without them
+function normalizeEmoji(e) {
+  return String(e).replace(/\uFE0F/g, "").trim();
+}
+
+function parseReactionSignals(spec) {
+  const map = {};
+  for (const pair of spec.split(",")) {
+    const i = pair.indexOf("=");
+    if (i <= 0) continue;
+    const emoji = normalizeEmoji(pair.slice(0, i));
+    const signal = pair.slice(i + 1).trim();
+    if (emoji && signal) map[emoji] = signal;
+  }
+  return map;
+}
+
+const reactionSignals = parseReactionSignals(REACTION_SIGNALS_SPEC);
+
+// Emoji reactions present in `next` but not in `prev` (custom emoji are skipped)
+function addedReactions(prev, next) {
+  const emojis = (list) => (list || []).filter((r) => r.type === "emoji").map((r) => normalizeEmoji(r.emoji));
+  const before = new Set(emojis(prev));
+  return emojis(next).filter((e) => !before.has(e));
+}
+
+// The session whose agent sent this message, if any
+function findAgentMessageSession(tgMsgId) {
+  for (const sid of allKnownSessionIds()) {
+    const entry = getSession(sid).queue.findByTgId(tgMsgId);
+    if (entry && entry.sender === "agent") return sid;
+  }
+  return null;
+}
+
+function handleMessageReaction(r) {
+  if (CHAT_ID && String(r.chat.id) !== CHAT_ID) return;
+  if (r.user && r.user.is_bot) return;
+  const added = addedReactions(r.old_reaction, r.new_reaction);
+  if (!added.length) return;
+  const sid = findAgentMessageSession(r.message_id);
+  if (!sid) return;
+  const by = userDisplayName(r.user || (r.actor_chat && { id: r.actor_chat.id, first_name: r.actor_chat.title }));
+  for (const emoji of added) {
+    const reaction = { emoji, signal: reactionSignals[emoji] || null, message_id: r.message_id, by };
+    getSession(sid).queue.enqueue(emoji, "user", null, null, { reaction });
+    log.info(`Reaction ${emoji} on message ${r.message_id} for ${sid}${reaction.signal ? ` (${reaction.signal})` : ""}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reply / forward context — what an incoming message refers to
+// ---------------------------------------------------------------------------
+const CONTEXT_TEXT_MAX = 200;
+
+function truncateContext(text) {
+  return text.length > CONTEXT_TEXT_MAX ? `${text.slice(0, CONTEXT_TEXT_MAX - 1)}…` : text;
+}
+
+// { message_id, sender, text, quote? } for a real reply, else null. In forum
+// topics every message "replies" to the topic's creation message — not a reply.
+function describeReply(msg) {
+  const r = msg.reply_to_message;
+  if (!r || r.forum_topic_created || r.message_id === msg.message_thread_id) return null;
+  const reply = {
+    message_id: r.message_id,
+    sender: r.from && r.from.is_bot ? "agent" : "user",
+    text: truncateContext(r.text || r.caption || ""),
+  };
+  if (msg.quote && msg.quote.text) reply.quote = truncateContext(msg.quote.text);
+  return reply;
+}
+
+// Display name of a forwarded message's origin, or null if not forwarded
+function describeForward(msg) {
+  const o = msg.forward_origin;
+  if (o) {
+    if (o.type === "user") return userDisplayName(o.sender_user);
+    if (o.type === "hidden_user") return o.sender_user_name || "hidden user";
+    const chat = o.type === "channel" ? o.chat : o.sender_chat;
+    return (chat && (chat.title || (chat.username && `@${chat.username}`))) || o.type;
+  }
+  // Bot API < 7.0
+  if (msg.forward_from) return userDisplayName(msg.forward_from);
+  if (msg.forward_from_chat) return msg.forward_from_chat.title || "chat";
+  if (msg.forward_sender_name) return msg.forward_sender_name;
+  return null;
+}
+
+// Run TRANSCRIBE_CMD on an audio file. "{file}" in the command is replaced with
+// the quoted path (appended if absent); resolves with the trimmed stdout.
+function transcribeAudio(file, cmd = TRANSCRIBE_CMD, timeoutMs = TRANSCRIBE_TIMEOUT_S * 1000) {
+  const quoted = `"${file}"`;
+  const command = cmd.includes("{file}") ? cmd.split("{file}").join(quoted) : `${cmd} ${quoted}`;
+  return new Promise((resolve, reject) => {
+    childProcess.exec(command, { timeout: timeoutMs, maxBuffer: 1024 * 1024, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = err.killed ? `timed out after ${timeoutMs / 1000}s` : stderr.trim().split("\n").pop() || err.message;
+        reject(new Error(detail));
+        return;
       }
+      resolve(stdout.trim());
+    });
+  });
+}
 
-      if (msg.text === "/continue") {
-        if (msgTopicId) {
-          const topicToSession = buildTopicToSessionMap();
-          const targetSid = topicToSession[String(msgTopicId)];
-          if (targetSid && sessions.has(targetSid)) {
-            sessions.get(targetSid).skipWait = true;
-            log.info(`Session ${targetSid} wait skipped by user`);
-          }
-        } else {
-          let count = 0;
-          for (const [, s] of sessions) {
-            s.skipWait = true;
-            count++;
-          }
-          log.info(`All waits skipped (${count}) by user`);
-        }
-        continue;
+// Handle a single Telegram update — shared by getUpdates polling and webhook mode
+async function handleUpdate(update) {
+  if (processedUpdates.has(update.update_id)) return;
+  processedUpdates.add(update.update_id);
+  if (processedUpdates.size > 1000) {
+    const oldest = processedUpdates.values().next().value;
+    processedUpdates.delete(oldest);
+  }
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query);
+    return;
+  }
+  if (update.message_reaction) {
+    handleMessageReaction(update.message_reaction);
+    return;
+  }
+  if (update.poll || update.poll_answer) {
+    handlePollUpdate(update);
+    return;
+  }
+  const edited = !update.message && !!update.edited_message;
+  const msg = update.message || update.edited_message;
+  if (!msg) return;
+  const chatId = String(msg.chat.id);
+  if (CHAT_ID && chatId !== CHAT_ID) return;
+  if (isTooOldToReplay(edited ? { date: msg.edit_date || msg.date } : msg)) {
+    log.info(`Skipping update ${update.update_id}: older than ${REPLAY_MAX_AGE_S}s`);
+    return;
+  }
+
+  // Skip bot's own messages
+  if (msg.from && msg.from.is_bot) return;
+
+  const msgTopicId = msg.message_thread_id || null;
+
+  // Edited message — a correction to something already routed
+  if (edited) {
+    const text = msg.text
+      ? entitiesToMarkdown(msg.text, msg.entities)
+      : entitiesToMarkdown(msg.caption, msg.caption_entities);
+    if (!text) return;
+    const results = routeEditToSessions(msg.message_id, text, msgTopicId);
+    if (results.length) log.info(`Message ${msg.message_id} edited by user (${[...new Set(results)].join(", ")})`);
+    return;
+  }
+
+  // Handle /pause, /resume, /continue in any topic (session-specific or General for all)
+  // Pause/resume is silent — the agent never knows. Server just holds/releases the wait loop.
+  if (msg.text === "/pause" || msg.text === "/resume") {
+    const isPause = msg.text === "/pause";
+    if (msgTopicId) {
+      const topicToSession = buildTopicToSessionMap();
+      const targetSid = topicToSession[String(msgTopicId)];
+      if (targetSid) {
+        applyControl(targetSid, { paused: isPause });
+        log.info(`Session ${targetSid} ${isPause ? "paused" : "resumed"} by user`);
       }
+    } else {
+      const ids = allKnownSessionIds();
+      for (const sid of ids) applyControl(sid, { paused: isPause });
+      log.info(`All sessions (${ids.length}) ${isPause ? "paused" : "resumed"} by user`);
+    }
+    return;
+  }
 
-      // Handle commands in General topic
-      if (!msgTopicId || msg.is_topic_message === false) {
-        if (msg.text === "/start") {
-          const activeSessions = registry.getActive();
-          const sessionList = Object.entries(activeSessions)
-            .map(([id, s]) => `• *${s.label}* — ${s.active ? "🟢" : "🔴"}`)
-            .join("\n") || "None";
-          await sendToGeneral(
-            `🔗 *Telegram MCP Bridge v2*\nChat ID: \`${chatId}\`\n\n*Active sessions:*\n${sessionList}\n\n_Each session has its own topic. Reply in a topic to message that specific agent._`
-          );
-          continue;
-        }
-        if (msg.text === "/sessions") {
-          const all = registry.getAll();
-          const lines = Object.entries(all).map(([id, s]) => {
-            const status = s.active ? "🟢" : "🔴";
-            const ago = Math.floor(Date.now() / 1000) - s.lastSeen;
-            return `${status} *${s.label}* (${id}) — ${ago}s ago`;
-          });
-          await sendToGeneral(`*Sessions:*\n${lines.join("\n") || "None"}`);
-          continue;
-        }
+  if (msg.text === "/continue") {
+    if (msgTopicId) {
+      const topicToSession = buildTopicToSessionMap();
+      const targetSid = topicToSession[String(msgTopicId)];
+      if (targetSid) {
+        applyControl(targetSid, { skipWait: true });
+        log.info(`Session ${targetSid} wait skipped by user`);
       }
+    } else {
+      const ids = allKnownSessionIds();
+      for (const sid of ids) applyControl(sid, { skipWait: true });
+      log.info(`All waits skipped (${ids.length}) by user`);
+    }
+    return;
+  }
 
-      // Handle photos
-      let image = null;
-      if (msg.photo && msg.photo.length > 0) {
-        try {
-          const photo = msg.photo[msg.photo.length - 1];
-          const fileInfo = await tgApi("getFile", { file_id: photo.file_id });
-          if (fileInfo.ok && fileInfo.result.file_path) {
-            const buf = await downloadTgFile(fileInfo.result.file_path);
-            const ext = path.extname(fileInfo.result.file_path).toLowerCase();
-            image = { base64: buf.toString("base64"), mimeType: ext === ".png" ? "image/png" : "image/jpeg" };
-          }
-        } catch (e) { log.warn("Photo download failed:", e.message); }
+  // Handle commands in General topic
+  if (!msgTopicId || msg.is_topic_message === false) {
+    if (msg.text === "/start") {
+      const activeSessions = registry.getActive();
+      const sessionList = Object.entries(activeSessions)
+        .map(([id, s]) => `• **${s.label}** — ${s.active ? "🟢" : "🔴"}`)
+        .join("\n") || "None";
+      await sendToGeneral(
+        `🔗 **Telegram MCP Bridge v2**\nChat ID: \`${chatId}\`\n\n**Active sessions:**\n${sessionList}\n\n_Each session has its own topic. Reply in a topic to message that specific agent._`
+      );
+      return;
+    }
+    if (msg.text === "/sessions") {
+      const all = registry.getAll();
+      const lines = Object.entries(all).map(([id, s]) => {
+        const status = s.active ? "🟢" : "🔴";
+        const ago = Math.floor(Date.now() / 1000) - s.lastSeen;
+        return `${status} **${s.label}** (${id}) — ${ago}s ago`;
+      });
+      await sendToGeneral(`**Sessions:**\n${lines.join("\n") || "None"}`);
+      return;
+    }
+  }
+
+  // Handle photos
+  let image = null;
+  if (msg.photo && msg.photo.length > 0) {
+    try {
+      const photo = msg.photo[msg.photo.length - 1];
+      const fileInfo = await tgApi("getFile", { file_id: photo.file_id });
+      if (fileInfo.ok && fileInfo.result.file_path) {
+        const buf = await downloadTgFile(fileInfo.result.file_path);
+        const ext = path.extname(fileInfo.result.file_path).toLowerCase();
+        image = { base64: buf.toString("base64"), mimeType: ext === ".png" ? "image/png" : "image/jpeg" };
       }
+    } catch (e) { log.warn("Photo download failed:", e.message); }
+  }
+
+  // Handle documents, videos, audio and voice notes
+  let files = null;
+  const att = describeAttachment(msg);
+  const targetSid = msgTopicId ? buildTopicToSessionMap()[String(msgTopicId)] : null;
+  if (att && (!msgTopicId || targetSid)) {
+    const { entry, data } = await downloadAttachment(att, getInboxDir(targetSid), msg.message_id);
+    files = [entry];
+    // Screenshots sent "as file" still reach the agent as an image
+    if (!image && data && INLINE_IMAGE_MIME_RE.test(att.mime) && data.length <= INLINE_IMAGE_MAX_BYTES) {
+      image = { base64: data.toString("base64"), mimeType: att.mime };
+    }
+  }
+
+  const text = msg.text
+    ? entitiesToMarkdown(msg.text, msg.entities)
+    : entitiesToMarkdown(msg.caption, msg.caption_entities);
+  if (!text && !image && !files) return;
+
+  // Route message based on topic (pass Telegram message_id for reaction tracking)
+  const meta = { files, reply_to: describeReply(msg), forwarded_from: describeForward(msg) };
+  // Voice replies are queued once transcribed (see below)
+  if (TRANSCRIBE_CMD && (msg.voice || msg.audio) && files && files[0].path) {
+    transcribeThenRoute(text, msgTopicId, image, msg.message_id, meta);
+  } else {
+    routeMessageToSession(text, "user", msgTopicId, image, msg.message_id, meta);
+  }
+  const label = text || (files ? `[${files[0].name}]` : "[photo]");
+  log.info(`Message from user in topic ${msgTopicId || "General"}: "${label.slice(0, 50)}"`);
+}
 
-      const text = msg.text || msg.caption || "";
-      if (!text && !image) continue;
+// A voice note is held back until transcribed, then queued with the transcript
+// as its text (after any caption) and `transcribed: true` on the audio. If the
+// command fails or runs past TRANSCRIBE_TIMEOUT_S, it is queued with just the
+// caption and a `transcription_error`. Runs off the update loop, so a slow
+// transcriber never holds up other updates.
+function transcribeThenRoute(caption, msgTopicId, image, tgMsgId, meta) {
+  const [audio, ...rest] = meta.files;
+  return transcribeAudio(audio.path)
+    .then((transcript) => {
+      const text = transcript ? (caption ? `${caption}\n\n${transcript}` : transcript) : caption;
+      const files = [transcript ? { ...audio, transcribed: true } : audio, ...rest];
+      routeMessageToSession(text, "user", msgTopicId, image, tgMsgId, { ...meta, files });
+    }, (e) => {
+      log.warn("Transcription failed:", e.message);
+      const files = [{ ...audio, transcription_error: e.message }, ...rest];
+      routeMessageToSession(caption, "user", msgTopicId, image, tgMsgId, { ...meta, files });
+    })
+    .catch((e) => log.warn("Voice message routing failed:", e.message));
+}
 
-      // Route message based on topic (pass Telegram message_id for reaction tracking)
-      routeMessageToSession(text, "user", msgTopicId, image, msg.message_id);
-      log.info(`Message from user in topic ${msgTopicId || "General"}: "${(text || "[photo]").slice(0, 50)}"`);
+async function pollTelegram() {
+  try {
+    const res = await tgApi("getUpdates", {
+      offset: lastUpdateId,
+      timeout: 2,
+      allowed_updates: ALLOWED_UPDATES,
+    });
+    if (!res.ok || !res.result) return;
+    for (const update of res.result) {
+      // Advance the offset only once handled, so a crash replays rather than drops;
+      // a failing update is logged and skipped so it can't wedge the loop
+      try {
+        await handleUpdate(update);
+      } catch (e) {
+        log.warn(`Update ${update.update_id} failed:`, e.message);
+      }
+      lastUpdateId = update.update_id + 1;
+      saveUpdateOffset(lastUpdateId);
     }
   } catch (e) {
     log.warn("Telegram poll error:", e.message);
   }
 }
 
-async function startPollingLoop() {
+// Heartbeat the sessions this process serves
+function heartbeatOwnSessions() {
+  for (const [sid, s] of sessions) {
+    if (s.owned) registry.heartbeat(sid);
+  }
+}
+
+// Main background loop: contend for leadership; the leader receives updates
+// (polling, or webhook when configured), everyone heartbeats its sessions.
+let isLeader = false;
+
+// After a failed leader startup (e.g. the webhook port is taken) the process
+// stays out of the election for a growing delay instead of re-taking and
+// releasing the lock on every tick
+const LEADER_RETRY_MIN_MS = 5000;
+const LEADER_RETRY_MAX_MS = 5 * 60 * 1000;
+let leaderFailures = 0;
+let leaderRetryAt = 0;
+
+function leaderRetryDelay(failures) {
+  return Math.min(LEADER_RETRY_MIN_MS * 2 ** Math.max(failures - 1, 0), LEADER_RETRY_MAX_MS);
+}
+
+async function startUpdateLoop() {
   if (!BOT_TOKEN) {
     log.error("TELEGRAM_BOT_TOKEN not set — Telegram polling disabled");
     return;
   }
   pollingActive = true;
-  await flushOldUpdates();
+  log.info(`Telegram update loop started (default_session=${DEFAULT_SESSION_ID})`);
+
+  while (pollingActive) {
+    const leader = (isLeader || Date.now() >= leaderRetryAt) && pollerLock.acquire();
+    if (leader && !isLeader) {
+      isLeader = true;
+      log.info(`Became Telegram ${WEBHOOK_URL ? "webhook" : "polling"} leader`);
+      try {
+        if (WEBHOOK_URL) await startWebhook();
+        else await initUpdateOffset();
+        leaderFailures = 0;
+      } catch (e) {
+        const delay = leaderRetryDelay(++leaderFailures);
+        log.error(`Leader startup failed: ${e.message} — retrying in ${Math.round(delay / 1000)}s`);
+        leaderRetryAt = Date.now() + delay;
+        await stopWebhook(false);
+        pollerLock.release();
+        isLeader = false;
+      }
+    } else if (!leader && isLeader) {
+      isLeader = false;
+      log.warn("Lost Telegram leadership to another process");
+      await stopWebhook(false);
+    }
+
+    if (isLeader && !WEBHOOK_URL) await pollTelegram();
+    heartbeatOwnSessions();
+    pushIncomingMessages();
+    checkResourceUpdates();
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Webhook mode — Telegram pushes updates to a local listener (typically behind
+// a reverse proxy). Updates feed the same handleUpdate path as polling.
+// ---------------------------------------------------------------------------
+let webhookServer = null;
+
+function verifyWebhookSecret(header, secret) {
+  if (!secret || typeof header !== "string") return false;
+  const a = Buffer.from(header);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function webhookListenPath() {
+  return process.env.TELEGRAM_WEBHOOK_PATH || new URL(WEBHOOK_URL).pathname || "/";
+}
+
+async function startWebhook() {
+  const listenPath = webhookListenPath();
+  let chain = Promise.resolve(); // process updates one at a time, in arrival order
+
+  const onRequest = (req, res) => {
+    if (req.method !== "POST" || req.url.split("?")[0] !== listenPath) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!verifyWebhookSecret(req.headers["x-telegram-bot-api-secret-token"], WEBHOOK_SECRET)) {
+      log.warn("Webhook request rejected: bad secret token");
+      res.writeHead(403).end();
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > 1024 * 1024) { res.writeHead(413).end(); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+      } catch {
+        res.writeHead(400).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+      chain = chain.then(() => handleUpdate(update))
+        .catch((e) => log.warn("Webhook update error:", e.message));
+    });
+  };
+
+  webhookServer = WEBHOOK_TLS_CERT && WEBHOOK_TLS_KEY
+    ? https.createServer({ cert: fs.readFileSync(WEBHOOK_TLS_CERT), key: fs.readFileSync(WEBHOOK_TLS_KEY) }, onRequest)
+    : http.createServer(onRequest);
+  await new Promise((resolve, reject) => {
+    webhookServer.once("error", reject);
+    webhookServer.listen(WEBHOOK_PORT, WEBHOOK_HOST, resolve);
+  });
+  log.info(`Webhook listener on ${WEBHOOK_HOST}:${webhookServer.address().port}${listenPath}`);
+
+  const res = await tgApi("setWebhook", {
+    url: WEBHOOK_URL,
+    secret_token: WEBHOOK_SECRET,
+    allowed_updates: ALLOWED_UPDATES,
+  });
+  if (!res.ok) throw new Error(`setWebhook failed: ${res.description || res.error_code}`);
+  log.info(`Webhook registered: ${WEBHOOK_URL}`);
+}
+
+// deregister=false when handing over to another leader, which re-registers
+async function stopWebhook(deregister = true) {
+  if (!webhookServer) return;
+  webhookServer.close();
+  webhookServer = null;
+  if (!deregister) return;
+  try {
+    await tgApi("deleteWebhook", {});
+    log.info("Webhook deregistered");
+  } catch (e) {
+    log.warn("deleteWebhook failed:", e.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tool helpers — shared wait loop and message collection
+// ---------------------------------------------------------------------------
+
+const HOLD_CHECK_MS = 1000;
+
+// Hold the call while waiting for the user, sending a typing indicator
+// periodically. Returns when a message arrives (if breakOnMessage), done()
+// turns true, the deadline passes, or /continue is sent. When paused, hold
+// indefinitely (even if waitSec=0) until resumed — the agent never knows.
+// A negative waitSec waits until a reply; `signal` (the request's abort signal)
+// ends the hold at once, and `onTick(paused)` runs on every check. Resolves to
+// true when /continue ended the hold.
+async function holdForUser(sessionId, session, waitSec, { done = () => false, breakOnMessage = true, signal = null, onTick = null } = {}) {
+  applyControl(sessionId, { skipWait: false });
+  syncControl(sessionId, session);
+  const deadline = waitSec > 0 ? Date.now() + waitSec * 1000 : waitSec < 0 ? Infinity : 0;
+  let lastTyping = 0;
+  while (!signal?.aborted && (session.paused || (deadline && Date.now() < deadline))) {
+    syncControl(sessionId, session);
+    if (session.skipWait) { session.skipWait = false; return true; }
+    if (!session.paused && done()) break;
+    if (Date.now() - lastTyping > 4000) {
+      sendTypingAction(session.topicId);
+      lastTyping = Date.now();
+    }
+    const count = breakOnMessage ? session.queue.pendingCount() : 0;
+    if (count > 0 && !session.paused) break;
+    if (onTick) onTick(session.paused);
+    // A new message ends the wait at once; the tick re-checks the pause and
+    // continue flags, `done` and the typing indicator
+    const tick = session.paused ? HOLD_CHECK_MS : Math.min(HOLD_CHECK_MS, deadline - Date.now());
+    if (breakOnMessage && !session.paused) await session.queue.waitForMessage(tick, signal);
+    else await abortableSleep(tick, signal);
+  }
+  return false;
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done);
+  });
+}
+
+// Wait argument in seconds: 0-300, or up to MAX_WAIT_S (-1 = until a reply)
+// when the caller sent a progressToken and so can keep its request alive
+function clampWait(value, fallback, extended) {
+  const n = parseInt(value ?? fallback, 10) || 0;
+  if (extended) return n < 0 ? -1 : Math.min(n, MAX_WAIT_S);
+  return Math.min(Math.max(n, 0), 300);
+}
+
+// holdForUser options for a tool call: its abort signal, plus
+// notifications/progress every WAIT_PROGRESS_MS when it sent a progressToken
+const WAIT_PROGRESS_MS = 10000;
+
+function waitOptions(extra, waitSec) {
+  const token = extra?._meta?.progressToken;
+  if (token === undefined) return { signal: extra?.signal };
+  const started = Date.now();
+  let last = 0;
+  const onTick = (paused) => {
+    if (Date.now() - last < WAIT_PROGRESS_MS) return;
+    last = Date.now();
+    const progress = Math.floor((last - started) / 1000);
+    const params = { progressToken: token, progress };
+    if (waitSec > 0 && progress <= waitSec) params.total = waitSec;
+    params.message = paused ? "Paused from Telegram (/pause)" : "Waiting for the user in Telegram";
+    extra.sendNotification({ method: "notifications/progress", params })
+      .catch((e) => log.warn("Progress notification failed:", e.message));
+  };
+  return { signal: extra.signal, onTick };
+}
+
+function cancelledResult(now, sessionId) {
+  return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "cancelled", now, session_id: sessionId }) }] };
+}
+
+// React ✅ on messages the agent has read, once it replies to them
+function markReadAsAnswered(session) {
+  if (!session.readMsgIds || session.readMsgIds.length === 0) return;
+  for (const mid of session.readMsgIds) {
+    setReaction(mid, "✅");
+  }
+  session.readMsgIds = [];
+}
 
-  log.info(`Telegram polling started (default_session=${DEFAULT_SESSION_ID})`);
+// Drain the session queue into tool-result shape: slim messages + image blocks.
+// Reacts 👀 on what the agent just read and tracks it for the later ✅.
+function collectMessages(session) {
+  const msgs = session.queue.poll();
 
-  while (pollingActive) {
-    await pollTelegram();
-    // Heartbeat all active sessions
-    for (const [sid] of sessions) {
-      registry.heartbeat(sid);
+  if (!session.readMsgIds) session.readMsgIds = [];
+  for (const m of msgs) {
+    if (m.tg_msg_id) {
+      setReaction(m.tg_msg_id, "👀");
+      session.readMsgIds.push(m.tg_msg_id);
     }
-    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
   }
+
+  const messages = msgs.map((m) => {
+    const entry = { text: m.text, ts: m.ts };
+    if (m.tg_msg_id) entry.message_id = m.tg_msg_id;
+    if (m.image) entry.image = true;
+    if (m.files) entry.files = m.files;
+    if (m.reply_to) entry.reply_to = m.reply_to;
+    if (m.forwarded_from) entry.forwarded_from = m.forwarded_from;
+    if (m.edited) {
+      entry.edited = true;
+      entry.edit_of = m.edit_of;
+    }
+    if (m.reaction) entry.reaction = m.reaction;
+    return entry;
+  });
+  const images = msgs.filter((m) => m.image)
+    .map((m) => ({ type: "image", data: m.image.base64, mimeType: m.image.mimeType }));
+  return { messages, images };
+}
+
+// manage_message scope: `entry` is the session's queue/history record of the
+// message. The agent's own messages may be changed; user messages may not be
+// edited, and are in scope only when posted in the session's topic — not when
+// broadcast from General. Returns the refusal, or null when allowed.
+function manageMessageScopeError(entry, action, topicId, messageId) {
+  if (!entry) return `message ${messageId} is not in this session`;
+  if (entry.sender === "agent") return null;
+  if (action === "edit") return "only your own messages can be edited";
+  if (!topicId || entry.topic_id !== topicId) return `message ${messageId} was not posted in this session's topic`;
+  return null;
 }
 
 // ---------------------------------------------------------------------------
@@ -725,24 +2958,40 @@ async function startPollingLoop() {
 // ---------------------------------------------------------------------------
 const server = new Server(
   { name: "telegram-bridge", version: "2.0.0" },
-  { capabilities: { tools: {} } }
+  { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {}, logging: {} } }
 );
 
 // Build interact tool description dynamically
 function buildInteractDesc() {
   let d = "Unified Telegram communication tool. Does everything in one call:\n" +
     "• If `message` is provided: sends it to the user via Telegram (Markdown supported)\n" +
+    "• If `file` is provided: uploads local file(s) as documents, with `message` as caption\n" +
     "• Always checks for and returns any pending user messages\n" +
     "• If `wait` > 0: blocks up to that many seconds for a user reply before returning\n" +
     "• MUST pass `session_id` on every call — this is how the server knows which session you are\n\n" +
-    "Response format: {ok, now, session_id, messages: [{text, ts, image?}]}\n" +
+    "Response format: {ok, now, session_id, message_ids?, messages: [{text, ts, message_id, image?, files?, reply_to?, forwarded_from?, edited?, reaction?}]}\n" +
     "- `now`: current server timestamp\n" +
+    "- `message_ids`: Telegram ids of what you just sent (for `manage_message` or `reply_to`)\n" +
     "- `session_id`: your session identifier (echoed back for context)\n" +
-    "- `messages`: pending messages from user (empty array if none)\n\n" +
+    "- `messages`: pending messages from user (empty array if none)\n" +
+    "- `files`: attachments the user sent, saved locally: [{name, mime, size, path}] (`path` is null with `error` if the download failed)\n" +
+    "- Voice notes and audio may be transcribed before they reach you: the transcript is the message `text`, and the audio file has " +
+    "`transcribed: true`, or `transcription_error` if transcription failed or timed out\n" +
+    "- `reply_to`: the message the user replied to: {message_id, sender: agent|user, text, quote?}\n" +
+    "- `forwarded_from`: original author of a forwarded message\n" +
+    "- `edited`/`edit_of`: the user edited message `edit_of` after you read it — this is the corrected text\n" +
+    "- `reaction`: the user reacted to your message: {emoji, signal, message_id, by} — `signal` is e.g. approve/reject/ack (null if unmapped)\n\n" +
     "SESSION ISOLATION: Pass the same `session_id` on every call within a conversation.\n" +
     "Each session_id gets its own Telegram topic and message queue.\n" +
     "Multiple agents in the same software are isolated by their session_id.";
 
+  const rules = protocolRules();
+  if (rules.length) d += "\n\nPROTOCOL: " + rules.join(" ");
+  return d;
+}
+
+// Protocol rules enabled by the behavior flags (TELEGRAM_AUTO_*)
+function protocolRules() {
   const rules = [];
   if (AUTO_SEND_START) rules.push(
     "At the START of every session/task, call with a brief greeting and plan summary.");
@@ -755,8 +3004,7 @@ function buildInteractDesc() {
     "During any task, call periodically (every few minutes) with no message to check for user input. " +
     "Use wait=60-120 when idle to avoid rapid polling.");
   rules.push("Keep messages concise (phone-readable).");
-  if (rules.length) d += "\n\nPROTOCOL: " + rules.join(" ");
-  return d;
+  return rules;
 }
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
@@ -781,96 +3029,559 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
           },
           wait: {
             type: "number",
-            description: "Seconds to wait for user reply (0=instant check, 60-120 for idle polling, up to 300). Default 0.",
+            description: "Seconds to wait for user reply (0=instant check, 60-120 for idle polling, up to 300). Default 0. " +
+              "If your client sends a progressToken, longer waits are allowed and -1 waits until a reply.",
+          },
+          file: {
+            anyOf: [{ type: "string" }, { type: "array", items: { type: "string" }, maxItems: TG_MAX_MEDIA_GROUP }],
+            description: "Local file path(s) to send as documents (logs, patches, reports; up to 10). If message is also provided, it becomes the caption.",
+          },
+          gzip: {
+            type: "boolean",
+            description: "Gzip the file(s) before upload. By default only text files over 10 MB (or over the upload limit) are gzipped.",
+          },
+          reply_to: {
+            type: "number",
+            description: "message_id to reply to (yours or the user's, from this session) — the message, image or file(s) are sent as a threaded reply.",
+          },
+          as_document: {
+            type: "boolean",
+            description: "Send `message` as a .md file attachment instead of chat text. Long messages are split into numbered parts automatically, and very long ones are sent as a document anyway.",
+          },
+        },
+      },
+    },
+    {
+      name: "ask",
+      description:
+        "Ask the user a multiple-choice question with Telegram buttons and wait for the pick.\n" +
+        "Use instead of `interact` when the answer is one of a few known options.\n" +
+        "Response format: {ok, now, session_id, choice, choice_label, answered_by, messages: [{text, ts, image?, files?}]}\n" +
+        "- `choice`: id of the pressed option, or null if the wait ended without a press\n" +
+        "- `messages`: any text the user sent instead (the wait also ends when they type)",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Your unique session identifier (same as for `interact`).",
+          },
+          question: {
+            type: "string",
+            description: "Question text (Markdown).",
+          },
+          options: {
+            type: "array",
+            maxItems: ASK_MAX_OPTIONS,
+            items: {
+              anyOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  properties: { id: { type: "string" }, label: { type: "string" } },
+                  required: ["label"],
+                },
+              ],
+            },
+            description: "Button choices: plain labels (the label is the id) or {id, label} objects.",
+          },
+          wait: {
+            type: "number",
+            description: "Seconds to wait for a press (up to 300; longer, or -1 for no limit, with a progressToken). Default 120.",
+          },
+        },
+        required: ["question", "options"],
+      },
+    },
+    {
+      name: "request_approval",
+      description:
+        "Ask the user to approve a risky action (e.g. a production migration, force-push, deleting data) " +
+        "with Approve/Deny buttons, and block until they decide.\n" +
+        "Response format: {ok, now, session_id, approved, by, at, timed_out}\n" +
+        "- `approved`: true only if you may go ahead\n" +
+        "- `timed_out`: true if nobody answered — `approved` then follows the timeout policy " +
+        `(currently ${APPROVAL_ON_TIMEOUT} unless \`on_timeout\` is passed)\n` +
+        "- `skipped`: true if the user ended the wait with /continue — the action is then denied\n" +
+        "Do NOT perform the action unless `approved` is true.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Your unique session identifier (same as for `interact`).",
+          },
+          action: {
+            type: "string",
+            description: "What you want to do, in one line (Markdown).",
+          },
+          details: {
+            type: "string",
+            description: "Optional context: commands, affected resources, risks (Markdown).",
+          },
+          timeout: {
+            type: "number",
+            description: "Seconds to wait for a decision (up to 300; longer, or -1 for no limit, with a progressToken). Default 300.",
+          },
+          on_timeout: {
+            type: "string",
+            enum: ["deny", "approve"],
+            description: `Decision if nobody answers in time. Default ${APPROVAL_ON_TIMEOUT}.`,
+          },
+        },
+        required: ["action"],
+      },
+    },
+    {
+      name: "progress",
+      description:
+        "Show a live progress message in your topic and update it in place, instead of sending a new message per step.\n" +
+        "The first call creates the message; later calls edit it (throttled, silent). " +
+        "Finish with state=\"done\" or \"failed\"; the next call after that starts a new progress message.\n" +
+        "Response format: {ok, now, session_id, messages: [{text, ts, image?, files?}]} — pending user messages, as with `interact`.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Your unique session identifier (same as for `interact`).",
+          },
+          title: {
+            type: "string",
+            description: "What is in progress, e.g. \"Migrating database\". Kept from earlier calls if omitted.",
+          },
+          step: {
+            type: "number",
+            description: "Current step number.",
+          },
+          total: {
+            type: "number",
+            description: "Total number of steps (shows a progress bar).",
+          },
+          status: {
+            type: "string",
+            description: "One line on what is happening now.",
+          },
+          state: {
+            type: "string",
+            enum: ["running", "done", "failed"],
+            description: "Default running. done/failed finalizes the message.",
+          },
+        },
+      },
+    },
+    {
+      name: "manage_message",
+      description:
+        "Edit, delete, pin or unpin an earlier message in your session's topic, by the message_id " +
+        "returned from `interact` (`message_ids`) or listed on user messages (`message_id`).\n" +
+        "Only your own messages can be edited; user messages must have been posted in your topic. Response format: {ok, now, session_id, action, message_id, error?}",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Your unique session identifier (same as for `interact`).",
+          },
+          action: {
+            type: "string",
+            enum: ["edit", "delete", "pin", "unpin"],
+            description: "What to do with the message.",
+          },
+          message_id: {
+            type: "number",
+            description: "Telegram message_id of the message.",
+          },
+          text: {
+            type: "string",
+            description: "New text for `edit` (Markdown).",
+          },
+        },
+        required: ["action", "message_id"],
+      },
+    },
+    {
+      name: "poll",
+      description:
+        "Post a native Telegram poll in your topic for a group decision, and wait for a quorum of voters or the deadline.\n" +
+        "Response format: {ok, now, session_id, poll_id, message_id, total_voters, quorum_reached, closed, tally: [{option, votes, voters?}]}\n" +
+        "- `voters`: who voted for each option (only for non-anonymous polls)",
+      inputSchema: {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Your unique session identifier (same as for `interact`).",
+          },
+          question: {
+            type: "string",
+            description: "Poll question (up to 300 characters).",
+          },
+          options: {
+            type: "array",
+            items: { type: "string" },
+            minItems: 2,
+            maxItems: POLL_MAX_OPTIONS,
+            description: "Answer options (2-10, up to 100 characters each).",
+          },
+          multiple: {
+            type: "boolean",
+            description: "Allow choosing several options. Default false.",
+          },
+          anonymous: {
+            type: "boolean",
+            description: "Hide who voted for what. Default false.",
+          },
+          quorum: {
+            type: "number",
+            description: "Return as soon as this many people have voted. Default: wait for the deadline.",
+          },
+          wait: {
+            type: "number",
+            description: "Deadline in seconds (up to 300; longer, or -1 for no limit, with a progressToken). Default 120.",
+          },
+          close: {
+            type: "boolean",
+            description: "Close the poll when returning so no more votes come in. Default true.",
           },
         },
+        required: ["question", "options"],
       },
     },
   ],
 }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
+  const canExtendWait = extra?._meta?.progressToken !== undefined;
 
   if (name === "interact") {
     const now = Math.floor(Date.now() / 1000);
     const sessionId = args?.session_id || DEFAULT_SESSION_ID;
     const message = args?.message || null;
-    const wait = Math.min(Math.max(parseInt(args?.wait, 10) || 0, 0), 300);
+    const wait = clampWait(args?.wait, 0, canExtendWait);
     const imageArg = args?.image || null;
+    const asDocument = args?.as_document === true;
+    const files = [].concat(args?.file || []).filter(Boolean);
+    const replyTo = parseInt(args?.reply_to, 10) || null;
+    if (imageArg && files.length) {
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "pass either image or file, not both", now, session_id: sessionId }) }] };
+    }
 
     // Ensure session has a topic and queue
     const session = await ensureSessionReady(sessionId);
+    if (replyTo && !session.queue.findByTgId(replyTo)) {
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: `message ${replyTo} is not in this session`, now, session_id: sessionId }) }] };
+    }
 
-    // Step 1: Send message/image if provided
-    if (imageArg) {
-      const ok = await sendPhotoToSession(imageArg, message || "", session.topicId);
-      if (!ok) {
+    // Step 1: Send message/image/files if provided
+    let sentIds = null;
+    if (files.length) {
+      const res = await sendFilesToSession(files, message || "", session.topicId, { gzip: args?.gzip, replyTo });
+      if (!res.ok) {
+        return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: res.error, now, session_id: sessionId }) }] };
+      }
+      sentIds = res.messageIds;
+      session.queue.record(message || `[files: ${files.map((f) => path.basename(f)).join(", ")}]`, "agent", { tg_msg_ids: sentIds });
+    } else if (imageArg) {
+      sentIds = await sendPhotoToSession(imageArg, message || "", session.topicId, { replyTo });
+      if (!sentIds) {
         return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "image send failed", now, session_id: sessionId }) }] };
       }
+      session.queue.record(message || "[image]", "agent", { tg_msg_ids: sentIds });
     } else if (message) {
-      const ok = await sendToSession(message, session.topicId);
-      if (!ok) {
+      sentIds = await sendToSession(message, session.topicId, { asDocument, replyTo });
+      if (!sentIds) {
         return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "send failed", now, session_id: sessionId }) }] };
       }
+      session.queue.record(message, "agent", { tg_msg_ids: sentIds });
     }
 
     // React ✅ on previously-read messages when agent sends a reply
-    if (message && session.readMsgIds && session.readMsgIds.length > 0) {
-      for (const mid of session.readMsgIds) {
-        setReaction(mid, "✅");
-      }
-      session.readMsgIds = [];
+    if (message) markReadAsAnswered(session);
+
+    // Step 2: Wait / pause hold (see holdForUser)
+    await holdForUser(sessionId, session, wait, waitOptions(extra, wait));
+    // A cancelled call's result is never delivered, so leave messages queued
+    if (extra?.signal?.aborted) return cancelledResult(now, sessionId);
+
+    // Step 3: Collect messages
+    const { messages, images } = collectMessages(session);
+    const result = { ok: true, now, session_id: sessionId, messages };
+    if (sentIds) result.message_ids = sentIds;
+    const content = [{ type: "text", text: JSON.stringify(result) }, ...images];
+
+    return { content };
+  }
+
+  if (name === "ask") {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = args?.session_id || DEFAULT_SESSION_ID;
+    const question = String(args?.question || "").trim();
+    const options = normalizeOptions(args?.options);
+    const wait = clampWait(args?.wait, 120, canExtendWait);
+    if (!question || !options) {
+      const error = question
+        ? `options must be 1-${ASK_MAX_OPTIONS} non-empty labels with unique ids`
+        : "question is required";
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error, now, session_id: sessionId }) }] };
     }
 
-    // Step 2: Wait / pause hold — send typing indicator periodically
-    // When paused, hold indefinitely (even if wait=0) until resumed or a message arrives.
-    // When not paused, normal deadline applies. /continue skips wait immediately.
-    {
-      session.skipWait = false;
-      const deadline = wait > 0 ? Date.now() + wait * 1000 : 0;
-      let lastTyping = 0;
-      while (session.paused || (deadline && Date.now() < deadline)) {
-        if (session.skipWait) { session.skipWait = false; break; }
-        if (Date.now() - lastTyping > 4000) {
-          sendTypingAction(session.topicId);
-          lastTyping = Date.now();
-        }
-        const count = session.queue.pendingCount();
-        if (count > 0 && !session.paused) break;
-        await new Promise((r) => setTimeout(r, 500));
-      }
+    const session = await ensureSessionReady(sessionId);
+    const qid = questions.create(sessionId, question, options);
+    const { text, entities } = renderMarkdown(question);
+    const body = { chat_id: CHAT_ID, text, entities, reply_markup: buildKeyboard(qid, options) };
+    if (session.topicId) body.message_thread_id = session.topicId;
+    let sent = null;
+    try {
+      sent = await tgSend("sendMessage", body);
+    } catch (e) {
+      log.warn("Question send failed:", e.message);
     }
+    if (!sent || !sent.ok) {
+      questions.remove(qid);
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "send failed", now, session_id: sessionId }) }] };
+    }
+    questions.setMessageId(qid, sent.result.message_id);
+    session.queue.record(`[ask] ${question}`, "agent", { tg_msg_ids: [sent.result.message_id] });
+    markReadAsAnswered(session);
+
+    await holdForUser(sessionId, session, wait, { ...waitOptions(extra, wait), done: () => !!questions.get(qid)?.answer });
+
+    // Close the question either way — a press after this point is refused
+    const q = questions.get(qid);
+    questions.remove(qid);
+    if (q && !q.answer) await closeQuestionMessage(q, "⌛ No longer waiting for an answer");
+    if (extra?.signal?.aborted) return cancelledResult(now, sessionId);
+
+    const { messages, images } = collectMessages(session);
+    const answer = q?.answer || null;
+    const result = {
+      ok: true,
+      now,
+      session_id: sessionId,
+      choice: answer ? answer.id : null,
+      choice_label: answer ? answer.label : null,
+      answered_by: answer ? answer.by : null,
+      messages,
+    };
+    return { content: [{ type: "text", text: JSON.stringify(result) }, ...images] };
+  }
 
-    // Step 3: Collect messages
-    const msgs = session.queue.poll();
+  if (name === "request_approval") {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = args?.session_id || DEFAULT_SESSION_ID;
+    const action = String(args?.action || "").trim();
+    const details = String(args?.details || "").trim();
+    const timeout = clampWait(args?.timeout, 300, canExtendWait);
+    const onTimeout = args?.on_timeout === "approve" || args?.on_timeout === "deny"
+      ? args.on_timeout
+      : APPROVAL_ON_TIMEOUT;
+    if (!action) {
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "action is required", now, session_id: sessionId }) }] };
+    }
 
-    // React 👀 on messages the agent just read — track for later ✅
-    if (!session.readMsgIds) session.readMsgIds = [];
-    for (const m of msgs) {
-      if (m.tg_msg_id) {
-        setReaction(m.tg_msg_id, "👀");
-        session.readMsgIds.push(m.tg_msg_id);
-      }
+    const session = await ensureSessionReady(sessionId);
+    const prompt = `🔐 **Approval needed**\n\n${action}${details ? `\n\n${details}` : ""}`;
+    const qid = questions.create(sessionId, prompt, APPROVAL_OPTIONS, "approval");
+    const { text, entities } = renderMarkdown(prompt);
+    const body = { chat_id: CHAT_ID, text, entities, reply_markup: buildKeyboard(qid, APPROVAL_OPTIONS) };
+    if (session.topicId) body.message_thread_id = session.topicId;
+    let sent = null;
+    try {
+      sent = await tgSend("sendMessage", body);
+    } catch (e) {
+      log.warn("Approval request send failed:", e.message);
+    }
+    if (!sent || !sent.ok) {
+      questions.remove(qid);
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "send failed", now, session_id: sessionId }) }] };
     }
+    questions.setMessageId(qid, sent.result.message_id);
+    session.queue.record(`[approval] ${action}`, "agent", { tg_msg_ids: [sent.result.message_id] });
+
+    // Typed replies don't settle an approval — only the buttons, the timeout or /continue do
+    const skipped = await holdForUser(sessionId, session, timeout, {
+      ...waitOptions(extra, timeout),
+      done: () => !!questions.get(qid)?.answer,
+      breakOnMessage: false,
+    });
+
+    const q = questions.get(qid);
+    questions.remove(qid);
+    const answer = q?.answer || null;
+    // Cancelling the call is not a timeout — no default decision is made
+    if (!answer && extra?.signal?.aborted) {
+      if (q) await closeQuestionMessage(q, "⌛ Request withdrawn");
+      log.info(`Approval ${qid} for ${sessionId} cancelled`);
+      return cancelledResult(now, sessionId);
+    }
+    const decision = approvalDecision(answer, onTimeout, skipped);
+    if (q && !answer) {
+      await closeQuestionMessage(q, decision.skipped
+        ? "⏭ Skipped with /continue — denied"
+        : `⌛ No answer — ${decision.approved ? "approved" : "denied"} by default`);
+    }
+
+    const verdict = decision.approved ? "approved" : "denied";
+    const how = decision.by ? ` by ${decision.by}` : decision.skipped ? " on /continue" : " on timeout";
+    session.queue.record(
+      `${decision.approved ? "Approved" : "Denied"}${how}: ${action}`,
+      "approval",
+      { approval: { action, ...decision } }
+    );
+    log.info(`Approval ${qid} for ${sessionId} ${verdict}${how}`);
+
+    const result = { ok: true, now, session_id: sessionId, ...decision };
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  }
+
+  if (name === "progress") {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = args?.session_id || DEFAULT_SESSION_ID;
+    const state = args?.state || "running";
+    if (!["running", "done", "failed"].includes(state)) {
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: "state must be running, done or failed", now, session_id: sessionId }) }] };
+    }
+
+    const session = await ensureSessionReady(sessionId);
+    if (!session.progress || session.progress.finished) {
+      // Each new progress message goes into the history, like interact's
+      session.progress = new ProgressMessage(
+        async (text) => {
+          const id = await sendProgressMessage(text, session.topicId);
+          if (id) session.queue.record(text, "agent", { tg_msg_ids: [id] });
+          return id;
+        },
+        (id, text) => editProgressMessage(id, text));
+    }
+    const fields = { state };
+    if (args?.title !== undefined) fields.title = String(args.title);
+    if (args?.status !== undefined) fields.status = String(args.status);
+    if (args?.step !== undefined) fields.step = parseInt(args.step, 10) || 0;
+    if (args?.total !== undefined) fields.total = parseInt(args.total, 10) || 0;
+    const ok = await session.progress.update(fields);
+
+    const { messages, images } = collectMessages(session);
+    const result = { ok, now, session_id: sessionId, messages };
+    if (!ok) result.error = "progress update failed";
+    return { content: [{ type: "text", text: JSON.stringify(result) }, ...images] };
+  }
 
-    const slim = msgs.map((m) => {
-      const entry = { text: m.text, ts: m.ts };
-      if (m.image) entry.image = true;
-      return entry;
+  if (name === "manage_message") {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = args?.session_id || DEFAULT_SESSION_ID;
+    const action = args?.action;
+    const messageId = parseInt(args?.message_id, 10) || 0;
+    const fail = (error) => ({
+      content: [{ type: "text", text: JSON.stringify({ ok: false, error, now, session_id: sessionId, action, message_id: messageId }) }],
     });
+    if (!["edit", "delete", "pin", "unpin"].includes(action)) return fail("action must be edit, delete, pin or unpin");
+    if (!messageId) return fail("message_id is required");
 
-    const result = { ok: true, now, session_id: sessionId, messages: slim };
-    const content = [{ type: "text", text: JSON.stringify(result) }];
+    const session = await ensureSessionReady(sessionId);
+    const refused = manageMessageScopeError(session.queue.findByTgId(messageId), action, session.topicId, messageId);
+    if (refused) return fail(refused);
 
-    // Append image content blocks for received photos
-    for (const m of msgs) {
-      if (m.image) {
-        content.push({ type: "image", data: m.image.base64, mimeType: m.image.mimeType });
+    const chatId = parseInt(CHAT_ID, 10);
+    let res;
+    try {
+      if (action === "edit") {
+        const text = String(args?.text || "");
+        if (!text.trim()) return fail("text is required for edit");
+        if (text.length > TG_MAX_MESSAGE_LEN) return fail(`text is over ${TG_MAX_MESSAGE_LEN} characters`);
+        const rendered = renderMarkdown(text);
+        const body = { chat_id: chatId, message_id: messageId, text: rendered.text, entities: rendered.entities };
+        res = await tgSend("editMessageText", body);
+        if (!res.ok && res.error_code === 400 && rendered.entities.length && !/not modified/i.test(res.description || "")) {
+          res = await tgSend("editMessageText", { ...body, text, entities: undefined });
+        }
+      } else if (action === "delete") {
+        res = await tgSend("deleteMessage", { chat_id: chatId, message_id: messageId });
+      } else if (action === "pin") {
+        res = await tgSend("pinChatMessage", { chat_id: chatId, message_id: messageId, disable_notification: true });
+      } else {
+        res = await tgSend("unpinChatMessage", { chat_id: chatId, message_id: messageId });
       }
+    } catch (e) {
+      return fail(e.message);
     }
+    if (!res.ok) return fail(res.description || `Telegram error ${res.error_code}`);
+    const done = { edit: "edited", delete: "deleted", pin: "pinned", unpin: "unpinned" }[action];
+    log.info(`Message ${messageId} ${done} for ${sessionId}`);
+    return { content: [{ type: "text", text: JSON.stringify({ ok: true, now, session_id: sessionId, action, message_id: messageId }) }] };
+  }
 
-    return { content };
+  if (name === "poll") {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = args?.session_id || DEFAULT_SESSION_ID;
+    const question = String(args?.question || "").trim();
+    const options = Array.isArray(args?.options) ? args.options.map((o) => String(o).trim()) : [];
+    const anonymous = args?.anonymous === true;
+    const quorum = Math.max(parseInt(args?.quorum, 10) || 0, 0);
+    const wait = clampWait(args?.wait, 120, canExtendWait);
+    const fail = (error) => ({ content: [{ type: "text", text: JSON.stringify({ ok: false, error, now, session_id: sessionId }) }] });
+    if (!question || question.length > 300) return fail("question must be 1-300 characters");
+    if (options.length < 2 || options.length > POLL_MAX_OPTIONS || options.some((o) => !o || o.length > 100)) {
+      return fail(`options must be 2-${POLL_MAX_OPTIONS} labels of 1-100 characters`);
+    }
+
+    const session = await ensureSessionReady(sessionId);
+    const body = {
+      chat_id: parseInt(CHAT_ID, 10),
+      question,
+      options: options.map((text) => ({ text })),
+      is_anonymous: anonymous,
+      allows_multiple_answers: args?.multiple === true,
+    };
+    if (session.topicId) body.message_thread_id = session.topicId;
+    let sent;
+    try {
+      sent = await tgSend("sendPoll", body);
+    } catch (e) {
+      return fail(`sendPoll failed: ${e.message}`);
+    }
+    if (!sent.ok) return fail(`sendPoll failed: ${sent.description || sent.error_code}`);
+    const pollId = sent.result.poll.id;
+    const messageId = sent.result.message_id;
+    polls.create(pollId, sessionId, options, anonymous);
+    session.queue.record(`[poll] ${question}`, "agent", { tg_msg_ids: [messageId] });
+
+    const voterCount = () => {
+      const p = polls.get(pollId);
+      return p ? tallyPoll(p).total_voters : 0;
+    };
+    await holdForUser(sessionId, session, wait, {
+      ...waitOptions(extra, wait),
+      done: () => quorum > 0 && voterCount() >= quorum,
+      breakOnMessage: false,
+    });
+
+    // Stopping returns the final counts, which also covers anonymous polls
+    let closed = false;
+    let stopped = null;
+    if (args?.close !== false) {
+      try {
+        const res = await tgSend("stopPoll", { chat_id: parseInt(CHAT_ID, 10), message_id: messageId });
+        if (res.ok) {
+          closed = true;
+          stopped = res.result;
+          polls.recordCounts(pollId, res.result.options, res.result.total_voter_count);
+        }
+      } catch (e) {
+        log.warn("stopPoll failed:", e.message);
+      }
+    }
+    // The entry can be gone if another process already closed the poll
+    const final = polls.get(pollId);
+    if (closed) polls.remove(pollId);
+    if (!final && !stopped) return fail(`poll ${pollId} is no longer tracked (closed elsewhere?)`);
+    const { total_voters, tally } = final ? tallyPoll(final) : tallyStoppedPoll(stopped);
+    const result = {
+      ok: true, now, session_id: sessionId, poll_id: pollId, message_id: messageId,
+      total_voters, quorum_reached: quorum > 0 && total_voters >= quorum, closed, tally,
+    };
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
   }
 
   // Legacy tool support — uses default session
@@ -878,8 +3589,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const text = args?.text;
     if (!text) return { content: [{ type: "text", text: '{"error":"empty message"}' }] };
     const s = await ensureSessionReady(DEFAULT_SESSION_ID);
-    const ok = await sendToSession(text, s.topicId);
-    return { content: [{ type: "text", text: JSON.stringify({ sent: ok, now: Math.floor(Date.now() / 1000) }) }] };
+    const ids = await sendToSession(text, s.topicId);
+    return { content: [{ type: "text", text: JSON.stringify({ sent: !!ids, now: Math.floor(Date.now() / 1000) }) }] };
   }
 
   if (name === "poll_messages") {
@@ -892,12 +3603,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   if (name === "check_status") {
     const s = getSession(DEFAULT_SESSION_ID);
     const wait = Math.min(Math.max(parseInt(args?.wait, 10) || 0, 0), 300);
-    if (wait > 0) {
-      const deadline = Date.now() + wait * 1000;
-      while (Date.now() < deadline && s.queue.pendingCount() === 0) {
-        await new Promise((r) => setTimeout(r, 500));
-      }
-    }
+    if (wait > 0) await s.queue.waitForMessage(wait * 1000, extra?.signal);
     return {
       content: [{ type: "text", text: JSON.stringify({ pending: s.queue.pendingCount(), now: Math.floor(Date.now() / 1000) }) }],
     };
@@ -906,14 +3612,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   if (name === "wait_for_reply") {
     const s = getSession(DEFAULT_SESSION_ID);
     const timeout = Math.min(Math.max(parseInt(args?.timeout, 10) || 120, 1), 300);
-    const deadline = Date.now() + timeout * 1000;
-    while (Date.now() < deadline) {
-      if (s.queue.pendingCount() > 0) {
-        const msgs = s.queue.poll();
-        const slim = msgs.map((m) => ({ text: m.text, ts: m.ts }));
-        return { content: [{ type: "text", text: JSON.stringify({ messages: slim, now: Math.floor(Date.now() / 1000) }) }] };
-      }
-      await new Promise((r) => setTimeout(r, 500));
+    if (await s.queue.waitForMessage(timeout * 1000, extra?.signal)) {
+      const msgs = s.queue.poll();
+      const slim = msgs.map((m) => ({ text: m.text, ts: m.ts }));
+      return { content: [{ type: "text", text: JSON.stringify({ messages: slim, now: Math.floor(Date.now() / 1000) }) }] };
     }
     return { content: [{ type: "text", text: JSON.stringify({ timeout: true, waited: timeout, now: Math.floor(Date.now() / 1000) }) }] };
   }
@@ -921,6 +3623,268 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   return { content: [{ type: "text", text: '{"error":"unknown tool"}' }] };
 });
 
+// ---------------------------------------------------------------------------
+// MCP resources — each session's conversation and the session registry, so
+// clients can attach them as context. Subscribed resources are checked on
+// every update-loop tick and a resources/updated notification sent on change.
+// ---------------------------------------------------------------------------
+const SESSIONS_URI = "telegram://sessions";
+const HISTORY_URI_RE = /^telegram:\/\/session\/([^/]+)\/history$/;
+const resourceSubscriptions = new Set();
+const resourceStamps = new Map(); // uri → last seen content stamp
+let listedSessionIds = null; // set once a client has listed resources
+
+function historyUri(sessionId) {
+  return `telegram://session/${encodeURIComponent(sessionId)}/history`;
+}
+
+function historySessionIds() {
+  return [...new Set([...Object.keys(registry.getAll()), ...sessions.keys()])];
+}
+
+// Reading must not create a session: use the live queue or a throwaway one
+function readHistory(sessionId) {
+  const queue = sessions.has(sessionId) ? sessions.get(sessionId).queue : new MessageQueue(getQueueFile(sessionId));
+  return queue.history();
+}
+
+function readResource(uri) {
+  if (uri === SESSIONS_URI) {
+    const all = registry.getAll();
+    return Object.entries(all).map(([id, s]) => ({
+      session_id: id, label: s.label, active: !!s.active, topic_id: s.topicId,
+      started_at: s.startedAt, last_seen: s.lastSeen, paused: !!s.paused, history: historyUri(id),
+    }));
+  }
+  const m = uri.match(HISTORY_URI_RE);
+  const sessionId = m && decodeURIComponent(m[1]);
+  if (!sessionId || !historySessionIds().includes(sessionId)) return null;
+  const info = registry.getAll()[sessionId];
+  return { session_id: sessionId, label: info?.label || null, messages: readHistory(sessionId) };
+}
+
+// Stamps ignore heartbeats and deliveries, so only new messages or
+// session changes count as updates
+function resourceStamp(uri) {
+  if (uri === SESSIONS_URI) {
+    return JSON.stringify(Object.entries(registry.getAll()).map(([id, s]) => [id, s.active, s.topicId, s.paused]));
+  }
+  const m = uri.match(HISTORY_URI_RE);
+  if (!m) return null;
+  const msgs = readHistory(decodeURIComponent(m[1]));
+  const last = msgs[msgs.length - 1];
+  return `${msgs.length}:${last ? last.id : ""}:${last ? last.text : ""}`;
+}
+
+function checkResourceUpdates() {
+  for (const uri of resourceSubscriptions) {
+    const stamp = resourceStamp(uri);
+    if (resourceStamps.get(uri) === stamp) continue;
+    resourceStamps.set(uri, stamp);
+    server.sendResourceUpdated({ uri }).catch((e) => log.warn("Resource notification failed:", e.message));
+  }
+  if (listedSessionIds) {
+    const ids = historySessionIds();
+    if (ids.some((id) => !listedSessionIds.has(id))) {
+      listedSessionIds = new Set(ids);
+      server.sendResourceListChanged().catch((e) => log.warn("Resource notification failed:", e.message));
+    }
+  }
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  const ids = historySessionIds();
+  listedSessionIds = new Set(ids);
+  const all = registry.getAll();
+  return {
+    resources: [
+      {
+        uri: SESSIONS_URI,
+        name: "Telegram sessions",
+        description: "All bridge sessions: label, topic, active/paused state and history URI",
+        mimeType: "application/json",
+      },
+      ...ids.map((id) => ({
+        uri: historyUri(id),
+        name: `Conversation: ${all[id]?.label || id}`,
+        description: `Telegram conversation history of session ${id} (user, agent and unread messages)`,
+        mimeType: "application/json",
+      })),
+    ],
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: [
+    {
+      uriTemplate: "telegram://session/{session_id}/history",
+      name: "Session conversation",
+      description: "Telegram conversation history of a session",
+      mimeType: "application/json",
+    },
+  ],
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const data = readResource(uri);
+  if (!data) throw new Error(`Unknown resource: ${uri}`);
+  return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) }] };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  resourceSubscriptions.add(uri);
+  resourceStamps.set(uri, resourceStamp(uri));
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  resourceStamps.delete(request.params.uri);
+  return {};
+});
+
+// ---------------------------------------------------------------------------
+// MCP prompts — the agent protocol from AGENT_RULES.md (installed next to
+// server.js as AGENT_PROMPT.md) plus the active behavior flags, so clients
+// can insert it instead of the user pasting the file into agent settings.
+// ---------------------------------------------------------------------------
+function loadAgentRules() {
+  for (const name of ["AGENT_PROMPT.md", "AGENT_RULES.md"]) {
+    try {
+      return fs.readFileSync(path.join(__dirname, name), "utf-8").trim();
+    } catch { /* try next */ }
+  }
+  return null;
+}
+
+// Body of a "## <title>" section of a Markdown document (title matched by prefix)
+function markdownSection(md, title) {
+  const lines = (md || "").split("\n");
+  const start = lines.findIndex((l) => l.startsWith(`## ${title}`));
+  if (start === -1) return null;
+  const end = lines.findIndex((l, i) => i > start && l.startsWith("## "));
+  return lines.slice(start + 1, end === -1 ? undefined : end).join("\n").trim() || null;
+}
+
+function sessionLine(sessionId) {
+  return `Your session_id: \`${sessionId}\` — pass it on every bridge tool call in this conversation.`;
+}
+
+const PROMPTS = [
+  {
+    name: "start_telegram_session",
+    description: "Start working with the Telegram bridge: the agent protocol, the active behavior rules and a session_id",
+    arguments: [
+      { name: "session_id", description: "Session id to use (a new one is generated if omitted)", required: false },
+      { name: "task", description: "What you are about to work on", required: false },
+    ],
+    build(args, rulesDoc) {
+      const sessionId = args.session_id || `s-${crypto.randomBytes(4).toString("hex")}`;
+      // The file's generic protocol gives way to the one the flags enable
+      const protocol = "## Protocol\nHow to use `interact` on this bridge:\n" + protocolRules().map((r) => `- ${r}`).join("\n");
+      const parts = [];
+      if (rulesDoc) parts.push(rulesDoc.replace(/^## Protocol\n[\s\S]*?(?=\n\n## |$(?![\s\S]))/m, protocol));
+      if (!rulesDoc || !markdownSection(rulesDoc, "Protocol")) parts.push(protocol);
+      parts.push(sessionLine(sessionId));
+      if (args.task) parts.push(`Task: ${args.task}`);
+      parts.push(AUTO_SEND_START
+        ? "Begin now: call `interact` with a brief greeting and your plan."
+        : "Call `interact` whenever you need input from the user.");
+      return parts.join("\n\n");
+    },
+  },
+  {
+    name: "report_status",
+    description: "Send the user a concise status update on the current task through Telegram",
+    arguments: [
+      { name: "session_id", description: "Your bridge session id", required: true },
+      { name: "focus", description: "What the update should cover (e.g. blockers, test results)", required: false },
+    ],
+    build(args, rulesDoc) {
+      const parts = [
+        "Send the user a status update via `interact`: what is done, what you are doing now, " +
+        "what is next, and anything blocking you. Put any question last.",
+      ];
+      if (args.focus) parts.push(`Focus on: ${args.focus}`);
+      const tips = markdownSection(rulesDoc, "Tips");
+      if (tips) parts.push(tips);
+      parts.push("For step-by-step progress on a long task, use the `progress` tool instead of separate messages.");
+      parts.push(sessionLine(args.session_id));
+      return parts.join("\n\n");
+    },
+  },
+  {
+    name: "ask_for_approval",
+    description: "Ask the user to approve a risky action with Approve/Deny buttons before doing it",
+    arguments: [
+      { name: "session_id", description: "Your bridge session id", required: true },
+      { name: "action", description: "The action that needs approval (e.g. \"run migration on prod DB\")", required: true },
+    ],
+    build(args) {
+      return [
+        `Action needing approval: ${args.action}`,
+        "Before doing it, call `request_approval` with a one-line description of the action and its impact. " +
+        "Proceed only if the result has `approved: true`. Otherwise do not perform the action; " +
+        "tell the user via `interact` what you will do instead.",
+        sessionLine(args.session_id),
+      ].join("\n\n");
+    },
+  },
+];
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  const missing = prompt.arguments.filter((a) => a.required && !args[a.name]).map((a) => a.name);
+  if (missing.length) throw new Error(`Missing required argument(s): ${missing.join(", ")}`);
+  return {
+    description: prompt.description,
+    messages: [{ role: "user", content: { type: "text", text: prompt.build(args, loadAgentRules()) } }],
+  };
+});
+
+// ---------------------------------------------------------------------------
+// Push notifications — announce new user messages for the sessions this
+// process serves as soon as they are queued, so clients need not wait for the
+// agent's next `interact`. Sent as MCP log messages (logger "telegram"); a
+// client can mute them with logging/setLevel "warning". Owned queues are
+// watched, so messages queued by the polling leader in another process count
+// too; the update loop re-checks in case a file event is missed.
+// ---------------------------------------------------------------------------
+function describePushedMessage(sessionId, m) {
+  const data = { event: "user_message", session_id: sessionId, text: truncateContext(m.text || ""), ts: m.ts };
+  if (m.tg_msg_id) data.message_id = m.tg_msg_id;
+  if (m.image) data.image = true;
+  if (m.files) data.files = m.files.map((f) => f.name);
+  for (const key of ["reply_to", "edited", "edit_of", "reaction"]) if (m[key]) data[key] = m[key];
+  return data;
+}
+
+function pushIncomingMessages() {
+  let pushed = false;
+  for (const [sid, s] of sessions) {
+    if (!s.owned) continue;
+    const pending = s.queue.history().filter((m) => m.pending);
+    const seen = s.announced || new Set();
+    s.announced = new Set(pending.map((m) => m.id));
+    for (const m of pending) {
+      if (seen.has(m.id)) continue;
+      pushed = true;
+      server.sendLoggingMessage({ level: "info", logger: "telegram", data: describePushedMessage(sid, m) })
+        .catch((e) => log.warn("Push notification failed:", e.message));
+    }
+  }
+  // Subscribed history resources change at the same moment
+  if (pushed) checkResourceUpdates();
+}
+
 // ---------------------------------------------------------------------------
 // Graceful shutdown — mark session inactive, notify topic
 // ---------------------------------------------------------------------------
@@ -929,13 +3893,24 @@ function shutdown() {
   if (shutdownDone) return;
   shutdownDone = true;
   pollingActive = false;
-  for (const [sid] of sessions) {
+  pollerLock.release();
+  let count = 0;
+  for (const [sid, s] of sessions) {
+    if (!s.owned) continue;
     registry.deactivate(sid);
+    count++;
   }
-  log.info(`All sessions deactivated (${sessions.size} total)`);
+  log.info(`All sessions deactivated (${count} total)`);
+}
+// Deregister the webhook before releasing leadership and exiting (bounded so a
+// dead network can't hang us)
+function exitAfterCleanup() {
+  const done = () => { shutdown(); process.exit(0); };
+  const timer = setTimeout(done, 3000);
+  stopWebhook().finally(() => { clearTimeout(timer); done(); });
 }
-process.on("SIGINT", () => { shutdown(); process.exit(0); });
-process.on("SIGTERM", () => { shutdown(); process.exit(0); });
+process.on("SIGINT", exitAfterCleanup);
+process.on("SIGTERM", exitAfterCleanup);
 process.on("exit", shutdown);
 
 // ---------------------------------------------------------------------------
@@ -943,6 +3918,7 @@ process.on("exit", shutdown);
 // ---------------------------------------------------------------------------
 async function main() {
   log.info(`Starting Telegram MCP Bridge v2 (default_session=${DEFAULT_SESSION_ID}, machine=${MACHINE_LABEL})`);
+  if (TG_API_BASE !== "https://api.telegram.org") log.info(`Using Bot API at ${TG_API_BASE}`);
 
   // Register bot commands in Telegram
   tgApi("setMyCommands", {
@@ -955,8 +3931,8 @@ async function main() {
   }).then(() => log.info("Bot commands registered"))
     .catch((e) => log.warn("Failed to register bot commands:", e.message));
 
-  // Start Telegram polling in background
-  startPollingLoop().catch((e) => log.error("Polling loop crashed:", e.message));
+  // Start receiving Telegram updates in background (leader only; webhook or polling)
+  startUpdateLoop().catch((e) => log.error("Update loop crashed:", e.message));
 
   // Start MCP stdio transport
   const transport = new StdioServerTransport();
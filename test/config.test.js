@@ -65,6 +65,10 @@ const chatChoiceMatch = installSrc.match(/(function resolveChatSetupChoice\([\s\
 if (!chatChoiceMatch) throw new Error("Could not extract resolveChatSetupChoice from install.js");
 const resolveChatSetupChoice = new Function(`${chatChoiceMatch[1]}; return resolveChatSetupChoice;`)();
 
+const apiUrlMatch = installSrc.match(/(function tgApiUrl\([\s\S]*?\n\})/);
+if (!apiUrlMatch) throw new Error("Could not extract tgApiUrl from install.js");
+const tgApiUrl = new Function("TG_API_BASE", `${apiUrlMatch[1]}; return tgApiUrl;`)("https://api.telegram.org");
+
 describe("makeServerEntry", () => {
   it("creates valid entry with command, args, and env", () => {
     const entry = makeServerEntry("/home/user/.telegram-mcp-bridge/server.js", "123:ABC", "456");
@@ -106,6 +110,57 @@ describe("installer selection helpers", () => {
   });
 });
 
+const proxyEnvMatch = installSrc.match(/(function proxyEnv\([\s\S]*?\n\})/);
+if (!proxyEnvMatch) throw new Error("Could not extract proxyEnv from install.js");
+const proxyEnv = new Function(`${proxyEnvMatch[1]}; return proxyEnv;`)();
+
+describe("proxy settings", () => {
+  it("carries proxy variables into the server entry env", () => {
+    const env = proxyEnv({ https_proxy: "http://proxy:3128", NO_PROXY: "localhost" });
+    assert.deepEqual(env, { HTTPS_PROXY: "http://proxy:3128", NO_PROXY: "localhost" });
+    const entry = makeServerEntry("/s.js", "t", "c", env);
+    assert.equal(entry.env.HTTPS_PROXY, "http://proxy:3128");
+    assert.equal(entry.env.TELEGRAM_BOT_TOKEN, "t");
+  });
+
+  it("adds nothing when no proxy is set", () => {
+    assert.deepEqual(proxyEnv({}), {});
+    assert.deepEqual(Object.keys(makeServerEntry("/s.js", "t", "c").env), ["TELEGRAM_BOT_TOKEN", "TELEGRAM_CHAT_ID"]);
+  });
+});
+
+const apiBaseEnvMatch = installSrc.match(/(function apiBaseEnv\([\s\S]*?\n\})/);
+if (!apiBaseEnvMatch) throw new Error("Could not extract apiBaseEnv from install.js");
+const apiBaseEnv = new Function(`${apiBaseEnvMatch[1]}; return apiBaseEnv;`)();
+
+describe("Bot API base URL", () => {
+  it("carries a custom TELEGRAM_API_BASE_URL into the server entry env", () => {
+    const env = apiBaseEnv({ TELEGRAM_API_BASE_URL: "http://localhost:8081/" });
+    assert.deepEqual(env, { TELEGRAM_API_BASE_URL: "http://localhost:8081/" });
+    const entry = makeServerEntry("/s.js", "t", "c", { ...proxyEnv({ HTTPS_PROXY: "http://proxy:3128" }), ...env });
+    assert.equal(entry.env.TELEGRAM_API_BASE_URL, "http://localhost:8081/");
+    assert.equal(entry.env.HTTPS_PROXY, "http://proxy:3128");
+  });
+
+  it("adds nothing for the default endpoint", () => {
+    assert.deepEqual(apiBaseEnv({}), {});
+  });
+
+  it("is passed to the entry the installer writes", () => {
+    assert.match(installSrc, /makeServerEntry\(serverPath, botToken, chatId, \{ \.\.\.proxyEnv\(\), \.\.\.apiBaseEnv\(\) \}\)/);
+  });
+});
+
+describe("tgApiUrl", () => {
+  it("defaults to api.telegram.org", () => {
+    assert.equal(tgApiUrl("1:X", "getMe"), "https://api.telegram.org/bot1:X/getMe");
+  });
+
+  it("honors a custom base URL with port and path prefix", () => {
+    assert.equal(tgApiUrl("1:X", "getUpdates", "http://localhost:8081/tg/"), "http://localhost:8081/tg/bot1:X/getUpdates");
+  });
+});
+
 describe("injectConfig", () => {
   let tmpFile;
 